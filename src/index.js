@@ -12,8 +12,14 @@ const DialogModes = require('photoshop').action.DialogModes;
 // Global API key reference
 let API_KEY_REF = '';
 
+// Default OpenAI-compatible endpoint; can be pointed at a local server or gateway in Settings
+const DEFAULT_API_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_AUTH_HEADER_NAME = 'Authorization';
+const DEFAULT_AUTH_HEADER_VALUE = 'Bearer {key}';
+
 // --- Utility Functions ---
-const SUPPORTED_ASPECT_RATIOS = [
+// Built-in aspect ratio presets; the list in use is edited in Settings (see Aspect ratio presets)
+const DEFAULT_ASPECT_RATIOS = [
     { ratio: 1/1, width: 1024, height: 1024, name: "1:1" },
     { ratio: 2/3, width: 832, height: 1248, name: "2:3" },
     { ratio: 3/2, width: 1248, height: 832, name: "3:2" },
@@ -26,865 +32,5719 @@ const SUPPORTED_ASPECT_RATIOS = [
     { ratio: 21/9, width: 1536, height: 672, name: "21:9" }
 ];
 
-// Settings management functions
-function loadSettings() {
-    const settings = localStorage.getItem('pluginSettings');
-    if (settings) {
-        const parsed = JSON.parse(settings);
-        
-        // Load API key and update global reference
-        if (parsed.apiKey) {
-            API_KEY_REF = parsed.apiKey;
-            // Update both input fields to maintain consistency
-            const apiKeyInput = document.getElementById('api-key');
-            const openrouterApiKeyInput = document.getElementById('openrouter-api-key-input');
-            if (apiKeyInput) apiKeyInput.value = parsed.apiKey;
-            if (openrouterApiKeyInput) openrouterApiKeyInput.value = parsed.apiKey;
+// --- API key storage ---
+
+// The API key is kept in UXP secure storage (OS keychain), never in localStorage
+const SECURE_API_KEY_NAME = 'routerShopApiKey';
+
+async function readSecureApiKey() {
+    try {
+        const value = await uxp.storage.secureStorage.getItem(SECURE_API_KEY_NAME);
+        if (!value) return '';
+        return typeof value === 'string' ? value : String.fromCharCode(...value);
+    } catch (e) {
+        console.warn('[readSecureApiKey] ⚠️ Could not read API key from secure storage:', e.message);
+        return '';
+    }
+}
+
+async function writeSecureApiKey(apiKey) {
+    if (apiKey) {
+        await uxp.storage.secureStorage.setItem(SECURE_API_KEY_NAME, apiKey);
+    } else {
+        await uxp.storage.secureStorage.removeItem(SECURE_API_KEY_NAME);
+    }
+}
+
+/**
+ * Moves a plaintext API key left in pluginSettings by older versions into
+ * secure storage and rewrites pluginSettings without it.
+ */
+async function migrateApiKeyToSecureStorage(parsed) {
+    try {
+        await writeSecureApiKey(parsed.apiKey);
+        delete parsed.apiKey;
+        localStorage.setItem('pluginSettings', JSON.stringify(parsed));
+        console.log('[migrateApiKeyToSecureStorage] 🔐 API key moved to secure storage');
+    } catch (e) {
+        console.error('[migrateApiKeyToSecureStorage] ❌ Migration failed, key left in place:', e.message);
+    }
+}
+
+// --- Settings schema ---
+
+// Bump when the exported file layout changes and add a step to SETTINGS_MIGRATIONS
+const SETTINGS_SCHEMA_VERSION = 2;
+
+const SETTINGS_SECTIONS = {
+    api: 'API Configuration',
+    spending: 'Spending',
+    models: 'Model Settings',
+    inpainting: 'Inpainting',
+    optimizer: 'Prompt Optimizer',
+    history: 'History',
+    layers: 'Layers',
+    queue: 'Job Queue',
+    input: 'Input Image',
+    presets: 'Aspect Ratio Presets'
+};
+
+// Every persisted setting, the input it is bound to and how to validate it.
+// The API key is not listed here: it lives in secure storage (see above).
+const SETTINGS_SCHEMA = [
+    { key: 'apiBaseUrl', inputId: 'setting-api-base-url', section: 'api', label: 'API Base URL', type: 'url', default: DEFAULT_API_BASE_URL },
+    { key: 'authHeaderName', inputId: 'setting-auth-header-name', section: 'api', label: 'Auth Header Name', type: 'string', default: DEFAULT_AUTH_HEADER_NAME },
+    { key: 'authHeaderValue', inputId: 'setting-auth-header-value', section: 'api', label: 'Auth Header Value', type: 'string', default: DEFAULT_AUTH_HEADER_VALUE },
+    { key: 'requestTimeout', inputId: 'setting-request-timeout', section: 'api', label: 'Request Timeout', type: 'integer', min: 10, max: 900, default: 120 },
+    { key: 'budgetDaily', inputId: 'setting-budget-daily', section: 'spending', label: 'Daily Budget', type: 'number', min: 0, default: 0 },
+    { key: 'budgetMonthly', inputId: 'setting-budget-monthly', section: 'spending', label: 'Monthly Budget', type: 'number', min: 0, default: 0 },
+    { key: 'textModel', inputId: 'setting-text-model', section: 'models', label: 'Text Model', type: 'string', default: 'google/gemini-2.0-flash-001' },
+    { key: 'visionModel', inputId: 'setting-vision-model', section: 'models', label: 'Vision Model', type: 'string', default: 'google/gemini-2.0-flash-001' },
+    { key: 'imageModel', inputId: 'setting-image-model', section: 'models', label: 'Image Generation Model', type: 'string', default: 'google/gemini-2.5-flash-image' },
+    { key: 'inpaintMaskMode', inputId: 'setting-inpaint-mask-mode', section: 'inpainting', label: 'Selection Shape', type: 'enum', values: ['mask', 'transparency', 'off'], default: 'mask' },
+    { key: 'inpaintClipToSelection', inputId: 'setting-inpaint-clip-mask', section: 'inpainting', label: 'Mask result to selection shape', type: 'boolean', default: true },
+    { key: 'inpaintContextMargin', inputId: 'setting-inpaint-context-margin', section: 'inpainting', label: 'Context Margin', type: 'integer', min: 0, max: 1024, default: 64 },
+    { key: 'inpaintColorMatch', inputId: 'setting-inpaint-color-match', section: 'inpainting', label: 'Match colour and tone', type: 'boolean', default: false },
+    { key: 'inpaintGrainMatch', inputId: 'setting-inpaint-grain-match', section: 'inpainting', label: 'Match grain', type: 'boolean', default: false },
+    { key: 'inpaintHiRes', inputId: 'setting-inpaint-hires', section: 'inpainting', label: 'High-res tiles', type: 'boolean', default: false },
+    { key: 'inpaintTileSize', inputId: 'setting-inpaint-tile-size', section: 'inpainting', label: 'Tile Size', type: 'integer', min: 512, max: 2048, default: 1024 },
+    { key: 'inpaintFeatherRadius', inputId: 'setting-inpaint-feather', section: 'inpainting', label: 'Feather / Blend Radius', type: 'integer', min: 0, max: 250, default: 8 },
+    { key: 'optimizerPrompt', inputId: 'setting-optimizer-prompt', section: 'optimizer', label: 'Optimizer System Prompt', type: 'string', default: 'act as image generation prompt engineer and optimize user prompt' },
+    { key: 'historyLimitMb', inputId: 'setting-history-limit', section: 'history', label: 'History Size Limit', type: 'number', min: 0, default: 0 },
+    { key: 'layerNameTemplate', inputId: 'setting-layer-name-template', section: 'layers', label: 'Layer Name Template', type: 'string', default: '{prompt} · {model} · {time}' },
+    { key: 'queueConcurrency', inputId: 'setting-queue-concurrency', section: 'queue', label: 'API Requests at Once', type: 'integer', min: 1, max: 4, default: 1 },
+    { key: 'inputMaxDimension', inputId: 'setting-input-max-dimension', section: 'input', label: 'Max Input Size', type: 'integer', min: 0, max: 8192, default: 2048 },
+    { key: 'inputFormat', inputId: 'setting-input-format', section: 'input', label: 'Upload Format', type: 'enum', values: ['png', 'jpeg', 'webp'], default: 'png' },
+    { key: 'inputQuality', inputId: 'setting-input-quality', section: 'input', label: 'Upload Quality', type: 'integer', min: 10, max: 100, default: 85 },
+    { key: 'aspectPresets', inputId: 'setting-aspect-presets', section: 'presets', label: 'Aspect Ratio Presets', type: 'presets', default: DEFAULT_ASPECT_RATIOS }
+];
+
+// Each step upgrades an exported file from version N to N + 1
+const SETTINGS_MIGRATIONS = {
+    // v1: flat object of the five original fields, no schemaVersion
+    1: (data) => {
+        const { apiKey, ...settings } = data;
+        return { schemaVersion: 2, settings, apiKey };
+    }
+};
+
+/**
+ * Converts a raw value to the type a schema field expects.
+ * @returns {{value?: any, error?: string}} error is a message without the field label
+ */
+function coerceSettingValue(field, raw) {
+    switch (field.type) {
+        case 'boolean':
+            if (typeof raw === 'boolean') return { value: raw };
+            if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+            return { error: 'must be true or false' };
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : parseFloat(raw);
+            if (!Number.isFinite(value)) return { error: 'must be a number' };
+            if (field.type === 'integer' && !Number.isInteger(value)) return { error: 'must be a whole number' };
+            if (field.min !== undefined && value < field.min) return { error: `must be at least ${field.min}` };
+            if (field.max !== undefined && value > field.max) return { error: `must be at most ${field.max}` };
+            return { value };
         }
-        
-        // Load model settings
-        if (parsed.textModel) {
-            const textModelInput = document.getElementById('setting-text-model');
-            if (textModelInput) textModelInput.value = parsed.textModel;
+        case 'enum':
+            if (field.values.includes(raw)) return { value: raw };
+            return { error: `must be one of: ${field.values.join(', ')}` };
+        case 'presets':
+            return parseAspectPresets(raw);
+        case 'url': {
+            const value = typeof raw === 'string' ? raw.trim() : '';
+            if (!/^https?:\/\/\S+$/i.test(value)) return { error: 'must be an http(s) URL' };
+            return { value: value.replace(/\/+$/, '') };
         }
-        
-        if (parsed.visionModel) {
-            const visionModelInput = document.getElementById('setting-vision-model');
-            if (visionModelInput) visionModelInput.value = parsed.visionModel;
+        default:
+            if (typeof raw !== 'string') return { error: 'must be text' };
+            if (!raw.trim()) return { error: 'must not be empty' };
+            return { value: raw.trim() };
+    }
+}
+
+/**
+ * Validates a settings object against SETTINGS_SCHEMA.
+ * Only fields present in `raw` end up in `values`; invalid ones are reported in `errors`.
+ * @returns {{values: Object, errors: string[], warnings: string[]}}
+ */
+function validateSettings(raw) {
+    const values = {};
+    const errors = [];
+    const warnings = [];
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { values, errors: ['Settings must be a JSON object'], warnings };
+    }
+
+    for (const field of SETTINGS_SCHEMA) {
+        if (raw[field.key] === undefined || raw[field.key] === null) continue;
+        const result = coerceSettingValue(field, raw[field.key]);
+        if (result.error) {
+            errors.push(`${field.label} (${field.key}) ${result.error}`);
+        } else {
+            values[field.key] = result.value;
         }
-        
-        if (parsed.imageModel) {
-            const imageModelInput = document.getElementById('setting-image-model');
-            if (imageModelInput) imageModelInput.value = parsed.imageModel;
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (!SETTINGS_SCHEMA.some(field => field.key === key)) {
+            warnings.push(`Unknown setting "${key}" ignored`);
         }
-        
-        if (parsed.optimizerPrompt) {
-            const optimizerPromptInput = document.getElementById('setting-optimizer-prompt');
-            if (optimizerPromptInput) optimizerPromptInput.value = parsed.optimizerPrompt;
+    }
+    return { values, errors, warnings };
+}
+
+/**
+ * Brings a parsed settings file up to SETTINGS_SCHEMA_VERSION.
+ * @returns {{schemaVersion: number, sourceVersion: number, settings: Object, apiKey?: string}}
+ */
+function migrateSettingsFile(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Settings file must contain a JSON object');
+    }
+
+    const sourceVersion = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    if (!Number.isInteger(sourceVersion) || sourceVersion < 1) {
+        throw new Error(`Invalid schemaVersion "${data.schemaVersion}"`);
+    }
+    if (sourceVersion > SETTINGS_SCHEMA_VERSION) {
+        throw new Error(`Settings file is from a newer version (schema ${sourceVersion}, this plugin supports ${SETTINGS_SCHEMA_VERSION}). Please update the plugin.`);
+    }
+
+    let migrated = data;
+    for (let version = sourceVersion; version < SETTINGS_SCHEMA_VERSION; version++) {
+        migrated = SETTINGS_MIGRATIONS[version](migrated);
+        console.log(`[migrateSettingsFile] 🔄 Migrated settings from schema ${version} to ${version + 1}`);
+    }
+    return { ...migrated, sourceVersion };
+}
+
+/**
+ * Reads every schema field from the settings inputs. Empty or invalid inputs fall back to the default.
+ */
+function readSettingsFromForm() {
+    const settings = {};
+    for (const field of SETTINGS_SCHEMA) {
+        const input = document.getElementById(field.inputId);
+        const raw = field.type === 'boolean' ? input?.checked : input?.value;
+        const result = raw === undefined || raw === '' ? { value: field.default } : coerceSettingValue(field, raw);
+        settings[field.key] = result.error ? field.default : result.value;
+    }
+    return settings;
+}
+
+/**
+ * Writes the given settings into their inputs. Keys that are not present are left untouched.
+ */
+function applySettingsToForm(settings) {
+    for (const field of SETTINGS_SCHEMA) {
+        if (settings[field.key] === undefined) continue;
+        const input = document.getElementById(field.inputId);
+        if (!input) continue;
+        if (field.type === 'boolean') {
+            input.checked = settings[field.key];
+        } else if (field.type === 'presets') {
+            // Also refreshes the dropdowns and the editor built from the list
+            setAspectPresets(settings[field.key]);
+        } else {
+            input.value = settings[field.key];
         }
-        
-        return parsed;
+    }
+}
+
+function setApiKeyInputs(apiKey) {
+    const apiKeyInput = document.getElementById('api-key');
+    const openrouterApiKeyInput = document.getElementById('openrouter-api-key-input');
+    if (apiKeyInput) apiKeyInput.value = apiKey;
+    if (openrouterApiKeyInput) openrouterApiKeyInput.value = apiKey;
+}
+
+// Settings management functions
+async function loadSettings() {
+    const settings = localStorage.getItem('pluginSettings');
+    const parsed = settings ? JSON.parse(settings) : null;
+
+    // Older versions stored the API key in plain text: move it to secure storage once
+    if (parsed?.apiKey) {
+        await migrateApiKeyToSecureStorage(parsed);
+    }
+
+    // Load API key from secure storage and update global reference
+    const storedApiKey = parsed?.apiKey || await readSecureApiKey();
+    if (storedApiKey) {
+        API_KEY_REF = storedApiKey;
+        // Update both input fields to maintain consistency
+        setApiKeyInputs(storedApiKey);
+    }
+
+    if (parsed) {
+        // Invalid stored values are dropped so the inputs keep their defaults
+        const { values, errors } = validateSettings(parsed);
+        errors.forEach(error => console.warn('[loadSettings] ⚠️ Ignoring stored setting:', error));
+        applySettingsToForm(values);
+
+        // Flag saved model IDs that the cached catalogue doesn't know or that lack the needed modality
+        validateModelSettings();
+        loadAdvancedParamsForModel();
+        updateInputQualityLabel();
+
+        return values;
     }
     return null;
 }
 
-function saveSettings() {
-    const settings = {
-        apiKey: document.getElementById('openrouter-api-key-input')?.value || '',
-        textModel: document.getElementById('setting-text-model')?.value || 'google/gemini-2.0-flash-001',
-        visionModel: document.getElementById('setting-vision-model')?.value || 'google/gemini-2.0-flash-001',
-        imageModel: document.getElementById('setting-image-model')?.value || 'google/gemini-2.5-flash-image',
-        optimizerPrompt: document.getElementById('setting-optimizer-prompt')?.value || 'act as image generation prompt engineer and optimize user prompt'
-    };
-    
+async function saveSettings() {
+    const apiKey = document.getElementById('openrouter-api-key-input')?.value || '';
+    const settings = readSettingsFromForm();
+
     localStorage.setItem('pluginSettings', JSON.stringify(settings));
     // Update the global API key reference
-    API_KEY_REF = settings.apiKey;
+    API_KEY_REF = apiKey;
+
+    try {
+        await writeSecureApiKey(apiKey);
+    } catch (e) {
+        console.error('[saveSettings] ❌ Could not save API key to secure storage:', e.message);
+    }
 }
 
 
-function getImageDimensions(base64Data) {
-    return new Promise((resolve) => {
-        try {
-            let base64 = base64Data;
-            if (base64.startsWith('data:image')) {
-                const commaIndex = base64.indexOf(',');
-                if (commaIndex !== -1) {
-                    base64 = base64.substring(commaIndex + 1);
-                }
-            }
-            const binaryString = atob(base64);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            
-            // Check for PNG
-            const pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
-            const isPNG = pngSignature.every((byte, index) => bytes[index] === byte);
-            if (isPNG) {
-                const width = (bytes[16] << 24) | (bytes[17] << 16) | (bytes[18] << 8) | bytes[19];
-                const height = (bytes[20] << 24) | (bytes[21] << 16) | (bytes[22] << 8) | bytes[23];
-                resolve({ width, height, format: 'png' });
-                return;
-            }
-            
-            // Check for JPEG
-            const jpegSignature = [0xFF, 0xD8, 0xFF];
-            const isJPEG = jpegSignature.every((byte, index) => bytes[index] === byte);
-            if (isJPEG) {
-                resolve({ width: 512, height: 512, format: 'jpeg' });
-                return;
-            }
-            
-            resolve({ width: 512, height: 512, format: 'png' });
-        } catch (error) {
-            console.warn('Error detecting dimensions:', error);
-            resolve({ width: 512, height: 512, format: 'png' });
-        }
-    });
-}
+// --- Model catalogue ---
+
+const MODEL_CATALOGUE_STORAGE_KEY = 'modelCatalogue';
+
+// What each model setting needs from a model
+const MODEL_ROLES = {
+    'setting-text-model': { label: 'Text Model', filter: 'text' },
+    'setting-vision-model': { label: 'Vision Model', filter: 'image-in' },
+    'setting-image-model': { label: 'Image Generation Model', filter: 'image-out' }
+};
+
+// Input the model picker is currently choosing a value for
+let modelPickerTarget = null;
 
 /**
- * Base64 to ArrayBuffer conversion
- * Used to convert Base64 API image data into a Uint8Array for file system write.
+ * Returns the cached model catalogue for the current endpoint, or null when
+ * nothing has been fetched yet (or the cache belongs to another base URL).
  */
-function convertBase64ToArrayBuffer(base64) {
-    let binaryString;
+function getCachedModelCatalogue() {
     try {
-        binaryString = atob(base64);
+        const cached = JSON.parse(localStorage.getItem(MODEL_CATALOGUE_STORAGE_KEY) || 'null');
+        if (cached && cached.baseUrl === getApiBaseUrl() && Array.isArray(cached.models)) {
+            return cached;
+        }
     } catch (e) {
-        console.warn("Base64 decoding failed");
-        return new Uint8Array(0); 
+        console.warn('[getCachedModelCatalogue] ⚠️ Invalid cache, ignoring:', e.message);
     }
+    return null;
+}
 
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+/**
+ * Loads /models from the API and caches a trimmed copy in localStorage.
+ * @returns {Promise<{baseUrl: string, fetchedAt: string, models: object[]}>}
+ */
+async function fetchModelCatalogue() {
+    const logPrefix = "[fetchModelCatalogue]";
+    const apiKey = document.getElementById('openrouter-api-key-input')?.value?.trim() || '';
+
+    console.log(`${logPrefix} 🌐 Loading models from ${getApiBaseUrl()}/models`);
+    const response = await fetch(`${getApiBaseUrl()}/models`, {
+        headers: buildApiHeaders(apiKey)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const models = (data.data || []).map(model => ({
+        id: model.id,
+        name: model.name || model.id,
+        contextLength: model.context_length || null,
+        pricing: model.pricing || {},
+        inputModalities: model.architecture?.input_modalities || ['text'],
+        outputModalities: model.architecture?.output_modalities || ['text']
+    }));
+
+    const catalogue = { baseUrl: getApiBaseUrl(), fetchedAt: new Date().toISOString(), models };
+    localStorage.setItem(MODEL_CATALOGUE_STORAGE_KEY, JSON.stringify(catalogue));
+    console.log(`${logPrefix} ✅ Cached ${models.length} models`);
+    return catalogue;
+}
+
+function modelMatchesFilter(model, filter) {
+    switch (filter) {
+        case 'image-out': return model.outputModalities.includes('image');
+        case 'image-in': return model.inputModalities.includes('image');
+        case 'text': return model.outputModalities.includes('text');
+        default: return true;
     }
-    return bytes; 
 }
 
-// --- Photoshop Integration - Using app.open() and layer.duplicate() ---
+// Formats per-token prices as $/1M tokens and per-image prices as-is
+function formatModelPricing(pricing) {
+    const parts = [];
+    const perMillion = value => `$${(parseFloat(value) * 1e6).toFixed(2)}/M`;
+    if (pricing.prompt !== undefined) parts.push(`in ${perMillion(pricing.prompt)}`);
+    if (pricing.completion !== undefined) parts.push(`out ${perMillion(pricing.completion)}`);
+    if (parseFloat(pricing.image) > 0) parts.push(`img $${parseFloat(pricing.image).toFixed(4)}`);
+    return parts.join(' · ') || 'pricing n/a';
+}
 
 /**
- * Saves a base64 image to a temp file, opens it in Photoshop, duplicates the layer
- * to the active document, and then cleans up the temp document and file.
+ * Checks the three model settings against the cached catalogue and lists
+ * problems below the Model Settings inputs. Does nothing without a cache.
  */
-async function addImageToPhotoshop(imageData) {
-    console.log('=== START addImageToPhotoshop (app.open method) ===');
+function validateModelSettings() {
+    const messageDiv = document.getElementById('model-validation-message');
+    const catalogue = getCachedModelCatalogue();
+    if (!messageDiv) return;
+    if (!catalogue) {
+        messageDiv.textContent = '';
+        return;
+    }
 
-    if (!photoshop.app.activeDocument) {
-        throw new Error('No active document found. Please open a document in Photoshop first.');
+    const problems = [];
+    for (const [inputId, role] of Object.entries(MODEL_ROLES)) {
+        const modelId = document.getElementById(inputId)?.value?.trim();
+        if (!modelId) continue;
+
+        const model = catalogue.models.find(m => m.id === modelId);
+        if (!model) {
+            problems.push(`⚠️ ${role.label}: "${modelId}" is not in the model catalogue`);
+        } else if (!modelMatchesFilter(model, role.filter)) {
+            problems.push(`⚠️ ${role.label}: "${modelId}" doesn't support ${role.filter === 'image-out' ? 'image output' : role.filter === 'image-in' ? 'image input' : 'text output'}`);
+        }
     }
+    messageDiv.textContent = problems.join('\n');
+}
 
-    const app = photoshop.app;
-    const core = photoshop.core;
+async function openModelPicker(targetInputId) {
+    modelPickerTarget = targetInputId;
 
-    let tempFile = null;
-    let tempDoc = null;
+    const picker = document.getElementById('model-picker');
+    const title = document.getElementById('model-picker-title');
+    const filterSelect = document.getElementById('model-picker-filter');
+    const searchInput = document.getElementById('model-picker-search');
+    if (!picker) return;
 
-    try {
-        // STEP 1: Prepare image data
-        console.log('STEP 1: Preparing image data...');
-        let base64Data = imageData.split(',')[1];
-        if (!base64Data) throw new Error("Invalid image data format");
-        
-        const uint8Array = convertBase64ToArrayBuffer(base64Data);
-        if (uint8Array.byteLength === 0) throw new Error("Buffer is empty");
-        
-        const dimensions = await getImageDimensions(imageData);
-        console.log(`Format: ${dimensions.format}, Size: ${uint8Array.byteLength} bytes`);
+    if (title) title.textContent = `Choose ${MODEL_ROLES[targetInputId].label}`;
+    if (filterSelect) filterSelect.value = MODEL_ROLES[targetInputId].filter;
+    if (searchInput) searchInput.value = '';
+    picker.style.display = 'block';
 
-        // STEP 2: Write to temp file in data folder
-        console.log('STEP 2: Writing to data folder...');
-        const dataFolder = await localFileSystem.getDataFolder(); 
-        const extension = dimensions.format === 'jpeg' ? 'jpg' : 'png';
-        const fileName = `temp_generated_${Date.now()}.${extension}`; 
-        
-        tempFile = await dataFolder.createFile(fileName, { overwrite: true });
-        await tempFile.write(uint8Array, { format: uxp.storage.formats.binary }); 
-        console.log('Temp file written successfully');
+    if (!getCachedModelCatalogue()) {
+        await refreshModelCatalogue();
+    } else {
+        renderModelPicker();
+    }
+}
 
-        // STEP 3: Open the image and copy to active document
-        console.log('STEP 3: Opening image and copying to active document...');
-        
-        const targetDoc = app.activeDocument;
-        
-        await core.executeAsModal(async () => {
-            // Open the temp file as a new document
-            tempDoc = await app.open(tempFile);
-            console.log('Image opened as temp document');
-            
-            // Duplicate the background/first layer to the target document
-            const layerToCopy = tempDoc.layers[0];
-            await layerToCopy.duplicate(targetDoc);
-            console.log('Layer duplicated to target document');
-            
-            // Close the temp document without saving
-            await tempDoc.closeWithoutSaving();
-            tempDoc = null;
-            console.log('Temp document closed');
-            
-            // Set the active document back to the target
-            app.activeDocument = targetDoc;
-            
-        }, { commandName: "Add Generated Image" });
-        
-        console.log('✅ Image successfully added to Photoshop!');
+function closeModelPicker() {
+    modelPickerTarget = null;
+    const picker = document.getElementById('model-picker');
+    if (picker) picker.style.display = 'none';
+}
 
+async function refreshModelCatalogue() {
+    const statusDiv = document.getElementById('model-picker-status');
+    try {
+        if (statusDiv) statusDiv.textContent = 'Loading models...';
+        await fetchModelCatalogue();
+        renderModelPicker();
+        validateModelSettings();
     } catch (error) {
-        console.error('❌ Error:', error);
-        console.error('Error details:', error.message);
-        
-        // Try to close temp document if it's still open
-        if (tempDoc) {
-            try {
-                await tempDoc.closeWithoutSaving();
-            } catch (e) {
-                console.warn('Could not close temp document:', e.message);
-            }
-        }
-        
-        throw error;
-    } finally {
-        // Cleanup temp file
-        if (tempFile) {
-            try { 
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                await tempFile.delete(); 
-                console.log("Temp file cleaned up.");
-            } catch (e) { 
-                console.warn("Could not delete temp file:", e.message); 
+        console.error('[refreshModelCatalogue] ❌ Error:', error);
+        if (statusDiv) statusDiv.textContent = `❌ Could not load models: ${error.message}`;
+    }
+}
+
+function renderModelPicker() {
+    const listDiv = document.getElementById('model-picker-list');
+    const statusDiv = document.getElementById('model-picker-status');
+    const catalogue = getCachedModelCatalogue();
+    if (!listDiv || !catalogue) return;
+
+    const query = (document.getElementById('model-picker-search')?.value || '').trim().toLowerCase();
+    const filter = document.getElementById('model-picker-filter')?.value || 'all';
+    const matches = catalogue.models.filter(model =>
+        modelMatchesFilter(model, filter) &&
+        (!query || model.id.toLowerCase().includes(query) || model.name.toLowerCase().includes(query))
+    );
+
+    listDiv.innerHTML = '';
+    // Keep the list short enough for the panel to stay responsive
+    for (const model of matches.slice(0, 100)) {
+        const item = document.createElement('div');
+        item.className = 'model-item';
+
+        const name = document.createElement('div');
+        name.className = 'model-item-name';
+        name.textContent = model.name;
+        const id = document.createElement('div');
+        id.className = 'model-item-meta';
+        id.textContent = model.id;
+        const meta = document.createElement('div');
+        meta.className = 'model-item-meta';
+        const context = model.contextLength ? `${Math.round(model.contextLength / 1000)}k ctx` : 'ctx n/a';
+        meta.textContent = `${context} · ${formatModelPricing(model.pricing)}`;
+
+        item.appendChild(name);
+        item.appendChild(id);
+        item.appendChild(meta);
+        item.addEventListener('click', () => {
+            const input = document.getElementById(modelPickerTarget);
+            if (input) {
+                input.value = model.id;
+                saveSettings();
+                validateModelSettings();
+                if (modelPickerTarget === 'setting-image-model') {
+                    loadAdvancedParamsForModel();
+                }
             }
-        }
+            closeModelPicker();
+        });
+        listDiv.appendChild(item);
+    }
+
+    if (statusDiv) {
+        const fetchedAt = new Date(catalogue.fetchedAt).toLocaleString();
+        statusDiv.textContent = `${matches.length} of ${catalogue.models.length} models (cached ${fetchedAt})`;
     }
 }
 
+// --- Aspect ratio presets ---
 
-// --- Helper for bounds conversion (must be available globally in the file) ---
+// Values image_config.aspect_ratio accepts: the ratios OpenRouter documents for
+// image_config. The model catalogue doesn't say which of them a given model honours
+const API_ASPECT_RATIOS = DEFAULT_ASPECT_RATIOS.map(preset => preset.name);
 
+// Presets in use: the defaults until loadSettings() applies the saved list
+let aspectRatioPresets = DEFAULT_ASPECT_RATIOS;
 
-// --- Modified extractSelectionImage Function ---
 /**
- * Extracts the pixel data from the active selection and returns it as an object
- * containing the raw Base64 string and the original selection bounds.
- * @returns {Promise<{base64Image: string, selectionBounds: {left: number, top: number, right: number, bottom: number}}>} 
+ * Validates a list of aspect ratio presets: each needs a unique name and a
+ * whole-number pixel width and height. The ratio is derived from the size.
+ * @param {Object[]|string} raw - the list, or its JSON
+ * @returns {{value?: Object[], error?: string}} error is a message without the field label
  */
-async function extractSelectionImage() {
-    const statusDiv = document.getElementById('status-img2img');
-    const logPrefix = "[extractSelectionImage]";
-    
-    if (!photoshop.app.activeDocument) {
-        throw new Error('No active document open.');
+function parseAspectPresets(raw) {
+    let list = raw;
+    if (typeof raw === 'string') {
+        try {
+            list = JSON.parse(raw);
+        } catch (e) {
+            console.warn('[parseAspectPresets] ⚠️ Invalid JSON:', e.message);
+            return { error: 'must be a JSON list of presets' };
+        }
+    }
+    if (!Array.isArray(list) || list.length === 0) return { error: 'must list at least one preset' };
+
+    const value = [];
+    for (const preset of list) {
+        const name = typeof preset?.name === 'string' ? preset.name.trim() : '';
+        const width = Number(preset?.width);
+        const height = Number(preset?.height);
+        if (!name || !Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 || width > 16384 || height > 16384) {
+            return { error: `has an invalid preset "${name || '?'}" (needs a name and a width and height from 1 to 16384 px)` };
+        }
+        if (value.some(existing => existing.name === name)) return { error: `has two presets named "${name}"` };
+        value.push({ ratio: width / height, width, height, name });
     }
+    return { value };
+}
 
-    let pixelData = null; 
-    let selectionBounds = null; // Defined here to be accessible at the end
+/**
+ * Maps a preset to the aspect_ratio value sent to the API. Presets whose size
+ * matches one of API_ASPECT_RATIOS send that ratio whatever they are called;
+ * others fall back to the nearest one and come with a warning.
+ * @returns {{apiRatio: string, warning: string|null}}
+ */
+function resolveAspectPreset(preset) {
+    const distance = name => {
+        const [w, h] = name.split(':').map(Number);
+        return Math.abs(Math.log(preset.ratio) - Math.log(w / h));
+    };
+    const nearest = API_ASPECT_RATIOS.reduce((best, name) => (distance(name) < distance(best) ? name : best));
 
-    try {
-        // --- Selection Check (Robust DOM check) ---
-        let hasSelection = false;
-        const sel = photoshop.app.activeDocument.selection;
-        
-        try {
-            if (sel && sel.bounds) hasSelection = true;
-        } catch {
-            hasSelection = false;
-        }
+    // Within 1% counts as the same ratio (e.g. 1080x1080 is 1:1)
+    if (distance(nearest) < 0.01) return { apiRatio: nearest, warning: null };
+    return {
+        apiRatio: nearest,
+        warning: `${preset.name} (${preset.width}x${preset.height}) isn't one of the aspect ratios the API accepts; ${nearest} will be requested. Use Exact size placement to get ${preset.width}x${preset.height}.`
+    };
+}
 
-        if (!hasSelection) {
-            throw new Error("Please make a selection in the active document first.");
+/**
+ * Replaces the presets in use and refreshes everything built from them.
+ */
+function setAspectPresets(presets) {
+    aspectRatioPresets = presets;
+    const input = document.getElementById('setting-aspect-presets');
+    if (input) input.value = JSON.stringify(presets);
+    populateAspectRatioSelects();
+    renderAspectPresetEditor();
+    updateAspectPresetWarning();
+}
+
+/**
+ * Fills the selection, text-to-image and outpaint ratio dropdowns from the
+ * presets, keeping each one's current choice when that preset still exists.
+ */
+function populateAspectRatioSelects() {
+    const selects = [
+        { id: 'aspect-ratio-select', byIndex: true, label: item => `${item.name} (${item.width}x${item.height} px)` },
+        { id: 'image-size-select', byIndex: false, label: item => `${item.name} (${item.width}x${item.height} px)` },
+        { id: 'outpaint-ratio-select', byIndex: true, label: item => item.name }
+    ];
+    for (const { id, byIndex, label } of selects) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+
+        const previousName = select.options[select.selectedIndex]?.dataset.name;
+        select.innerHTML = '';
+        aspectRatioPresets.forEach((item, index) => {
+            const option = document.createElement('option');
+            option.value = byIndex ? index : item.name;
+            option.dataset.name = item.name;
+            option.textContent = label(item);
+            select.appendChild(option);
+        });
+        select.selectedIndex = Math.max(0, aspectRatioPresets.findIndex(item => item.name === previousName));
+
+        // The exact size inputs follow the text-to-image choice
+        if (id === 'image-size-select' && select.value !== previousName) {
+            updateExactSizeInputs(true);
         }
-        
-        let base64Image = null;
-        
-        await core.executeAsModal(async () => {
-            
-            const selection = photoshop.app.activeDocument.selection;
-            let boundsValue = selection.bounds;
-            
-            let left, top, right, bottom;
-            
-            if (Array.isArray(boundsValue) && boundsValue.length === 4) {
-                // Scenario 1: Legacy Array of UnitValue objects
-                [left, top, right, bottom] = boundsValue.map(safeAsPx);
-                
-            } else if (
-                typeof boundsValue === 'object' &&
-                ('left' in boundsValue || '_left' in boundsValue) // Check for properties
-            ) {
-                // Scenario 2: Newer Bounds object structure (or variant)
-                left = safeAsPx(boundsValue.left || boundsValue._left);
-                top = safeAsPx(boundsValue.top || boundsValue._top);
-                right = safeAsPx(boundsValue.right || boundsValue._right);
-                bottom = safeAsPx(boundsValue.bottom || boundsValue._bottom);
-            } else {
-                throw new Error("Selection bounds structure is invalid. Please try a simple rectangular selection.");
-            }
+    }
+}
 
-            selectionBounds = { left, top, right, bottom }; // <<< Selection bounds captured here
+/**
+ * Shows under the text-to-image size dropdown when the chosen preset isn't a
+ * ratio the API accepts.
+ */
+function updateAspectPresetWarning() {
+    const warningDiv = document.getElementById('aspect-preset-warning');
+    if (!warningDiv) return;
+    const name = document.getElementById('image-size-select')?.value;
+    const preset = aspectRatioPresets.find(item => item.name === name);
+    const warning = preset ? resolveAspectPreset(preset).warning : null;
+    warningDiv.textContent = warning ? `⚠️ ${warning}` : '';
+    warningDiv.style.display = warning ? 'block' : 'none';
+}
 
-            const width = right - left;
-            const height = bottom - top;
+function showAspectPresetStatus(message) {
+    const statusDiv = document.getElementById('aspect-preset-status');
+    if (statusDiv) statusDiv.textContent = message;
+}
 
-            if (width <= 0 || height <= 0) {
-                throw new Error("The active selection must have a width and height greater than zero.");
-            }
+function renderAspectPresetEditor() {
+    const listDiv = document.getElementById('aspect-preset-list');
+    if (!listDiv) return;
+
+    listDiv.innerHTML = '';
+    aspectRatioPresets.forEach((preset, index) => {
+        const item = document.createElement('div');
+        item.className = 'queue-item';
+
+        const title = document.createElement('div');
+        title.className = 'history-prompt';
+        title.textContent = `${preset.name} · ${preset.width}x${preset.height} px`;
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        const { apiRatio, warning } = resolveAspectPreset(preset);
+        meta.textContent = warning
+            ? `Custom ratio ${preset.ratio.toFixed(2)}:1 · requested as ${apiRatio}`
+            : `Requested as ${apiRatio}`;
+        item.appendChild(title);
+        item.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const buttons = [
+            ['↑', 'Move up', () => moveAspectPreset(index, -1), index === 0],
+            ['↓', 'Move down', () => moveAspectPreset(index, 1), index === aspectRatioPresets.length - 1],
+            ['Remove', 'Remove preset', () => removeAspectPreset(index), aspectRatioPresets.length === 1]
+        ];
+        for (const [label, tooltip, handler, disabled] of buttons) {
+            const btn = document.createElement('button');
+            btn.className = 'tertiary-btn';
+            btn.textContent = label;
+            btn.title = tooltip;
+            btn.disabled = disabled;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        }
+        item.appendChild(actions);
+        listDiv.appendChild(item);
+    });
+}
 
-            // --- Extract pixels using imaging.getPixels ---
-            statusDiv.textContent = 'Extracting pixels...';
-            
-            pixelData = await imaging.getPixels({
-                documentID: photoshop.app.activeDocument.id,
-                sourceBounds: selectionBounds,
-                colorSpace: "RGB", 
-                componentSize: 8,
-                applyAlpha: true
-            });
+function updateAspectPresets(presets, message) {
+    setAspectPresets(presets);
+    saveSettings();
+    showAspectPresetStatus(message);
+}
 
-            // --- Encode Base64 using imaging.encodeImageData ---
-            statusDiv.textContent = 'Encoding image data...';
-            
-            base64Image = await imaging.encodeImageData({
-                "imageData": pixelData.imageData, 
-                "base64": true,
-                "outputFormat": "png"
-            });
-            
-        }, { commandName: "Extract Selection Image" });
+function moveAspectPreset(index, delta) {
+    const presets = [...aspectRatioPresets];
+    const [moved] = presets.splice(index, 1);
+    presets.splice(index + delta, 0, moved);
+    updateAspectPresets(presets, `Moved ${moved.name}`);
+}
 
-        // RETURN BOTH IMAGE DATA AND BOUNDS
-        return { base64Image, selectionBounds };
+function removeAspectPreset(index) {
+    if (aspectRatioPresets.length === 1) return;
+    const removed = aspectRatioPresets[index];
+    updateAspectPresets(aspectRatioPresets.filter((_, i) => i !== index), `Removed ${removed.name}`);
+}
 
-    } catch (error) {
-        console.error(`${logPrefix} ❌ Error during selection extraction:`, error);
-        throw error;
-    } finally {
-        if (pixelData?.imageData?.dispose) {
-            pixelData.imageData.dispose();
-            console.log(`${logPrefix} 🧹 Memory cleanup done.`);
-        }
+/**
+ * Adds a preset from the editor inputs. Without a name, one like "1.91:1" is
+ * made from the size.
+ */
+function addAspectPreset() {
+    const nameInput = document.getElementById('aspect-preset-name');
+    const width = parseInt(document.getElementById('aspect-preset-width')?.value, 10);
+    const height = parseInt(document.getElementById('aspect-preset-height')?.value, 10);
+    const name = nameInput?.value?.trim() || (width > 0 && height > 0 ? `${parseFloat((width / height).toFixed(2))}:1` : '');
+
+    const result = parseAspectPresets([...aspectRatioPresets, { name, width, height }]);
+    if (result.error) {
+        showAspectPresetStatus(`❌ Preset list ${result.error}`);
+        return;
     }
+    if (nameInput) nameInput.value = '';
+    updateAspectPresets(result.value, `✅ Added ${name} (${width}x${height})`);
 }
-// --- Helper for consistent pixel conversion ---
-const safeAsPx = (v) => {
-    if (typeof v === "object" && v !== null && typeof v.as === "function") {
-        return v.as("px");
-    }
-    return Number(v);
+
+function resetAspectPresets() {
+    if (!confirm('Replace your aspect ratio presets with the built-in list?')) return;
+    updateAspectPresets(DEFAULT_ASPECT_RATIOS, 'Presets reset to the built-in list');
+}
+
+// --- Prompt library ---
+
+const PROMPT_LIBRARY_STORAGE_KEY = 'promptLibrary';
+const PROMPT_LIBRARY_FILE_NAME = 'prompt-library.json';
+
+// Prompt boxes the library can insert into, keyed by mode
+const PROMPT_LIBRARY_MODES = {
+    t2i: { inputId: 'prompt', label: 'Text-to-Image' },
+    inpaint: { inputId: 'prompt-img2img', label: 'Inpainting' }
 };
-// --- Helper: safely read layer bounds as pixels ---
-// --- Helper: safely read layer bounds as pixels ---
-// --- Helper: safely read layer bounds as pixels ---
-function getLayerBounds(layer) {
-    const lb = layer.bounds;
-    let left, top, right, bottom;
 
-    if (Array.isArray(lb) && lb.length === 4) {
-        [left, top, right, bottom] = lb.map(v => (v.as ? v.as("px") : Number(v)));
-    } else if (lb && typeof lb === "object") {
-        left = lb.left?.as ? lb.left.as("px") : lb.left ?? lb._left ?? 0;
-        top = lb.top?.as ? lb.top.as("px") : lb.top ?? lb._top ?? 0;
-        right = lb.right?.as ? lb.right.as("px") : lb.right ?? lb._right ?? 0;
-        bottom = lb.bottom?.as ? lb.bottom.as("px") : lb.bottom ?? lb._bottom ?? 0;
-    } else {
-        left = top = right = bottom = 0;
+// {subject}-style placeholders; names are letters, digits and underscores
+const PROMPT_VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+// Mode the library panel is open for, and the entry waiting for variable values
+let promptLibraryMode = null;
+let pendingPromptEntry = null;
+
+/**
+ * Reads the library from localStorage.
+ * @returns {{entries: {id: string, name: string, tags: string[], text: string}[], defaults: Object<string, string>}}
+ *   defaults maps a mode to the ID of its default entry
+ */
+function loadPromptLibrary() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROMPT_LIBRARY_STORAGE_KEY) || 'null');
+        if (stored && Array.isArray(stored.entries)) {
+            return { entries: stored.entries, defaults: stored.defaults || {} };
+        }
+    } catch (e) {
+        console.warn('[loadPromptLibrary] ⚠️ Invalid library, starting empty:', e.message);
     }
+    return { entries: [], defaults: {} };
+}
 
-    return { left, top, right, bottom };
+function savePromptLibrary(library) {
+    localStorage.setItem(PROMPT_LIBRARY_STORAGE_KEY, JSON.stringify(library));
 }
 
-// // --- Main function ---
-// async function addImageToPhotoshopWithTransform(imageData, targetBounds) {
-//     const logPrefix = "[addImageToPhotoshopWithTransform]";
-//     console.log(`${logPrefix} === START ===`);
+// Unique variable names in order of first appearance
+function getPromptVariables(text) {
+    return [...new Set(Array.from(text.matchAll(PROMPT_VARIABLE_PATTERN), match => match[1]))];
+}
 
-//     if (!photoshop.app.activeDocument) {
-//         throw new Error('No active document found. Please open a document in Photoshop first.');
-//     }
+// Replaces each {name} with its value; variables without a value are left as typed
+function fillPromptTemplate(text, values) {
+    return text.replace(PROMPT_VARIABLE_PATTERN, (placeholder, name) => values[name] || placeholder);
+}
 
-//     const app = photoshop.app;
-//     const core = photoshop.core;
-//     const action = photoshop.action;
-//     const localFS = localFileSystem;
+/**
+ * Checks and normalises entries from an imported file. Entries without a
+ * name or text are skipped.
+ */
+function normalizePromptEntries(rawEntries) {
+    if (!Array.isArray(rawEntries)) throw new Error('The file has no "entries" list');
+
+    return rawEntries
+        .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim() && typeof entry.text === 'string' && entry.text.trim())
+        .map(entry => ({
+            id: typeof entry.id === 'string' && entry.id ? entry.id : `prompt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: entry.name.trim(),
+            tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()) : [],
+            text: entry.text
+        }));
+}
 
-//     let tempFile = null;
-//     let tempDoc = null;
+function showPromptLibraryStatus(message) {
+    const statusDiv = document.getElementById('prompt-library-status');
+    if (statusDiv) statusDiv.textContent = message;
+}
 
-//     try {
-//         // --- Step 1: Prepare image ---
-//         let base64Data = imageData.split(',')[1];
-//         if (!base64Data) throw new Error("Invalid image data format");
+/**
+ * Opens the library panel under the prompt box of the given mode. Clicking the
+ * button of the mode that is already open closes the panel again.
+ */
+function togglePromptLibrary(mode) {
+    const panel = document.getElementById('prompt-library');
+    const promptInput = document.getElementById(PROMPT_LIBRARY_MODES[mode].inputId);
+    if (!panel || !promptInput) return;
 
-//         const uint8Array = convertBase64ToArrayBuffer(base64Data);
-//         const dimensions = await getImageDimensions(imageData); // {width, height, format}
-//         console.log(`${logPrefix} 🖼️ Generated image dimensions:`, dimensions);
+    if (promptLibraryMode === mode && panel.style.display !== 'none') {
+        closePromptLibrary();
+        return;
+    }
 
-//         const dataFolder = await localFS.getDataFolder();
-//         const extension = dimensions.format === 'jpeg' ? 'jpg' : 'png';
-//         const fileName = `temp_generated_${Date.now()}.${extension}`;
-//         tempFile = await dataFolder.createFile(fileName, { overwrite: true });
-//         await tempFile.write(uint8Array, { format: uxp.storage.formats.binary });
-//         console.log(`${logPrefix} 💾 Temp image written to: ${tempFile.nativePath}`);
+    // One panel is shared by both cards; move it below the active prompt box
+    const wrapper = promptInput.parentNode;
+    wrapper.parentNode.insertBefore(panel, wrapper.nextSibling);
+
+    promptLibraryMode = mode;
+    pendingPromptEntry = null;
+    const title = document.getElementById('prompt-library-title');
+    if (title) title.textContent = `Prompt Library · ${PROMPT_LIBRARY_MODES[mode].label}`;
+    const searchInput = document.getElementById('prompt-library-search');
+    if (searchInput) searchInput.value = '';
+    showPromptLibraryStatus('');
+    panel.style.display = 'block';
+    renderPromptLibrary();
+}
 
-//         const targetDoc = app.activeDocument;
+function closePromptLibrary() {
+    promptLibraryMode = null;
+    pendingPromptEntry = null;
+    const panel = document.getElementById('prompt-library');
+    if (panel) panel.style.display = 'none';
+}
 
-//         // --- Step 2: Execute Photoshop actions ---
-//         await core.executeAsModal(async () => {
-//             console.log(`${logPrefix} 🔒 Entered executeAsModal`);
+function renderPromptLibrary() {
+    const listDiv = document.getElementById('prompt-library-list');
+    if (!listDiv || !promptLibraryMode) return;
+
+    const library = loadPromptLibrary();
+    const defaultId = library.defaults[promptLibraryMode];
+    const query = (document.getElementById('prompt-library-search')?.value || '').trim().toLowerCase();
+    const matches = library.entries
+        .filter(entry => !query ||
+            entry.name.toLowerCase().includes(query) ||
+            entry.text.toLowerCase().includes(query) ||
+            entry.tags.some(tag => tag.toLowerCase().includes(query)))
+        // The mode's default entry is always listed first
+        .sort((a, b) => (b.id === defaultId) - (a.id === defaultId));
+
+    listDiv.innerHTML = '';
+    if (matches.length === 0) {
+        listDiv.textContent = library.entries.length ? 'No entries match the search.' : 'The library is empty. Save a prompt below to start it.';
+    }
 
-//             // Open temp image
-//             tempDoc = await app.open(tempFile);
-//             console.log(`${logPrefix} 🆕 Temp document opened. Layers: ${tempDoc.layers.length}`);
+    for (const entry of matches) {
+        const item = document.createElement('div');
+        item.className = 'model-item';
+
+        const name = document.createElement('div');
+        name.className = 'model-item-name';
+        name.textContent = entry.id === defaultId ? `★ ${entry.name}` : entry.name;
+        const text = document.createElement('div');
+        text.className = 'model-item-meta';
+        text.textContent = entry.text.length > 100 ? `${entry.text.slice(0, 100)}…` : entry.text;
+        item.appendChild(name);
+        item.appendChild(text);
+        if (entry.tags.length) {
+            const tags = document.createElement('div');
+            tags.className = 'model-item-meta';
+            tags.textContent = entry.tags.map(tag => `#${tag}`).join(' ');
+            item.appendChild(tags);
+        }
 
-//             // Duplicate to target
-//             const newLayer = await tempDoc.layers[0].duplicate(targetDoc);
-//             console.log(`${logPrefix} ✅ Layer duplicated to target doc: ${targetDoc.title}`);
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const buttons = [
+            ['Insert', () => startPromptInsert(entry)],
+            [entry.id === defaultId ? 'Unset Default' : 'Set Default', () => togglePromptDefault(entry.id)],
+            ['Delete', () => deletePromptEntry(entry.id)]
+        ];
+        for (const [label, handler] of buttons) {
+            const btn = document.createElement('button');
+            btn.className = 'tertiary-btn';
+            btn.textContent = label;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        }
+        item.appendChild(actions);
+        listDiv.appendChild(item);
+    }
 
-//             // Close temp doc
-//             await tempDoc.closeWithoutSaving();
-//             tempDoc = null;
-//             app.activeDocument = targetDoc;
-//             targetDoc.activeLayers = [newLayer];
+    renderPromptVariableForm();
+}
 
-//             // --- Step 3: Deselect any active selection ---
-//             console.log(`${logPrefix} ✂️ Deselecting current selection to allow free transform...`);
-//             try {
-//                 targetDoc.selection.deselect();
-//                 console.log(`${logPrefix} ✅ Selection cleared.`);
-//             } catch (e) {
-//                 console.warn(`${logPrefix} ⚠️ Could not deselect selection:`, e.message);
-//             }
+/**
+ * Inserts an entry straight away, or asks for its variables first.
+ */
+function startPromptInsert(entry) {
+    if (getPromptVariables(entry.text).length === 0) {
+        insertIntoPrompt(entry.text);
+        return;
+    }
+    pendingPromptEntry = entry;
+    renderPromptVariableForm();
+}
 
-//             // --- Step 4: Get original layer bounds ---
-//             const { left, top, right, bottom } = getLayerBounds(newLayer);
-//             const initW = right - left;
-//             const initH = bottom - top;
-//             console.log(`${logPrefix} 📏 Original layer size: ${initW} x ${initH}`);
-//             console.log(`${logPrefix} 📍 Original layer position: left=${left}, top=${top}`);
+function renderPromptVariableForm() {
+    const form = document.getElementById('prompt-library-variables');
+    const fieldsDiv = document.getElementById('prompt-library-variable-fields');
+    if (!form || !fieldsDiv) return;
 
-//             // --- Step 5: Target selection size and center ---
-//             const selW = targetBounds.right - targetBounds.left;
-//             const selH = targetBounds.bottom - targetBounds.top;
-//             const targetCenterX = targetBounds.left + selW / 2;
-//             const targetCenterY = targetBounds.top + selH / 2;
-//             console.log(`${logPrefix} 🎯 Target selection size: ${selW} x ${selH}`);
-//             console.log(`${logPrefix} 🎯 Target center: (${targetCenterX}, ${targetCenterY})`);
+    if (!pendingPromptEntry) {
+        form.style.display = 'none';
+        return;
+    }
 
-//             // --- Step 6: Apply absolute pixel transform ---
-//             const transformDesc = {
-//                 _obj: "transform",
-//                 _target: [{ _ref: "layer", _enum: "ordinal", _value: "targetEnum" }],
-//                 freeTransform: true,
-//                 linked: true,
-//                 width: { _unit: "pixelsUnit", _value: selW },
-//                 height: { _unit: "pixelsUnit", _value: selH },
-//                 to: {
-//                     _obj: "point",
-//                     horizontal: { _unit: "pixelsUnit", _value: targetCenterX },
-//                     vertical: { _unit: "pixelsUnit", _value: targetCenterY }
-//                 },
-//                 center: {
-//                     _obj: "point",
-//                     horizontal: { _unit: "pixelsUnit", _value: left + initW / 2 },
-//                     vertical: { _unit: "pixelsUnit", _value: top + initH / 2 }
-//                 }
-//             };
+    fieldsDiv.innerHTML = '';
+    for (const name of getPromptVariables(pendingPromptEntry.text)) {
+        const row = document.createElement('div');
+        row.className = 'setting-row compact';
+        const label = document.createElement('label');
+        label.textContent = name;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'prompt-variable-input';
+        input.setAttribute('data-variable', name);
+        input.placeholder = `Value for {${name}}`;
+        row.appendChild(label);
+        row.appendChild(input);
+        fieldsDiv.appendChild(row);
+    }
 
-//             await action.batchPlay([transformDesc], {});
-//             console.log(`${logPrefix} 🔧 Transform executed.`);
+    const title = document.getElementById('prompt-library-variables-title');
+    if (title) title.textContent = `Fill in "${pendingPromptEntry.name}"`;
+    form.style.display = 'block';
+}
 
-//             // --- Step 7: Verify final bounds ---
-//             const finalBounds = getLayerBounds(newLayer);
-//             const finalW = finalBounds.right - finalBounds.left;
-//             const finalH = finalBounds.bottom - finalBounds.top;
-//             const finalCenterX = finalBounds.left + finalW / 2;
-//             const finalCenterY = finalBounds.top + finalH / 2;
+function confirmPromptInsert() {
+    if (!pendingPromptEntry) return;
 
-//             console.log(`${logPrefix} ✅ Final layer bounds:`, finalBounds);
-//             console.log(`${logPrefix} ✅ Final size: ${finalW} x ${finalH}`);
-//             console.log(`${logPrefix} ✅ Final center: (${finalCenterX.toFixed(1)}, ${finalCenterY.toFixed(1)})`);
+    const values = {};
+    document.querySelectorAll('#prompt-library-variable-fields .prompt-variable-input').forEach(input => {
+        values[input.getAttribute('data-variable')] = input.value.trim();
+    });
+    insertIntoPrompt(fillPromptTemplate(pendingPromptEntry.text, values));
+    pendingPromptEntry = null;
+    renderPromptVariableForm();
+}
 
-//         }, { commandName: "Add and Transform Generated Image" });
+function cancelPromptInsert() {
+    pendingPromptEntry = null;
+    renderPromptVariableForm();
+}
 
-//         console.log(`${logPrefix} ✅ Image added and transformed successfully.`);
+// Appends text to the open mode's prompt, separated by a comma from what is already there
+function insertIntoPrompt(text) {
+    const promptInput = document.getElementById(PROMPT_LIBRARY_MODES[promptLibraryMode]?.inputId);
+    if (!promptInput) return;
 
-//     } catch (error) {
-//         console.error(`${logPrefix} ❌ Error:`, error);
-//         if (tempDoc) try { await tempDoc.closeWithoutSaving(); } catch {}
-//         throw error;
+    const current = promptInput.value.trim();
+    promptInput.value = current ? `${current.replace(/[,\s]+$/, '')}, ${text}` : text;
+    showPromptLibraryStatus('✅ Inserted into prompt');
+}
 
-//     } finally {
-//         if (tempFile) {
-//             try {
-//                 await new Promise(resolve => setTimeout(resolve, 500));
-//                 await tempFile.delete();
-//                 console.log(`${logPrefix} 🧹 Temp file cleaned up.`);
-//             } catch (e) {
-//                 console.warn(`${logPrefix} ⚠️ Could not delete temp file: ${e.message}`);
-//             }
-//         }
-//     }
-// }
-// --- Main function: Transform generated image to match selection bounds ---
-// --- Main function: Transform generated image to match selection bounds ---
-async function addImageToPhotoshopWithTransform(imageData, targetBounds) {
-    const logPrefix = "[addImageToPhotoshopWithTransform]";
-    console.log(`${logPrefix} === START ===`);
+// Saves the open mode's current prompt as a new library entry
+function savePromptToLibrary() {
+    const promptInput = document.getElementById(PROMPT_LIBRARY_MODES[promptLibraryMode]?.inputId);
+    const nameInput = document.getElementById('prompt-library-name');
+    const tagsInput = document.getElementById('prompt-library-tags');
+    const text = promptInput?.value?.trim() || '';
+    const name = nameInput?.value?.trim() || '';
 
-    if (!photoshop.app.activeDocument) {
-        throw new Error('No active document found. Please open a document in Photoshop first.');
+    if (!text) {
+        showPromptLibraryStatus('❌ The prompt is empty. Type the text to save first.');
+        return;
+    }
+    if (!name) {
+        showPromptLibraryStatus('❌ Give the entry a name.');
+        return;
     }
 
-    const app = photoshop.app;
+    const library = loadPromptLibrary();
+    const [entry] = normalizePromptEntries([{ name, text, tags: (tagsInput?.value || '').split(',') }]);
+    library.entries.push(entry);
+    savePromptLibrary(library);
+
+    if (nameInput) nameInput.value = '';
+    if (tagsInput) tagsInput.value = '';
+    const variables = getPromptVariables(text);
+    showPromptLibraryStatus(`✅ Saved "${name}"${variables.length ? ` with variables ${variables.map(v => `{${v}}`).join(', ')}` : ''}`);
+    renderPromptLibrary();
+}
+
+function togglePromptDefault(entryId) {
+    const library = loadPromptLibrary();
+    if (library.defaults[promptLibraryMode] === entryId) {
+        delete library.defaults[promptLibraryMode];
+    } else {
+        library.defaults[promptLibraryMode] = entryId;
+    }
+    savePromptLibrary(library);
+    renderPromptLibrary();
+}
+
+function deletePromptEntry(entryId) {
+    const library = loadPromptLibrary();
+    const entry = library.entries.find(e => e.id === entryId);
+    if (!entry || !confirm(`Delete "${entry.name}" from the prompt library?`)) return;
+
+    library.entries = library.entries.filter(e => e.id !== entryId);
+    for (const mode of Object.keys(library.defaults)) {
+        if (library.defaults[mode] === entryId) delete library.defaults[mode];
+    }
+    if (pendingPromptEntry?.id === entryId) pendingPromptEntry = null;
+    savePromptLibrary(library);
+    renderPromptLibrary();
+}
+
+/**
+ * Fills empty prompt boxes with their mode's default entry on startup.
+ * Defaults with variables are left for the library, where they can be filled in.
+ */
+function applyPromptDefaults() {
+    const library = loadPromptLibrary();
+    for (const [mode, { inputId }] of Object.entries(PROMPT_LIBRARY_MODES)) {
+        const entry = library.entries.find(e => e.id === library.defaults[mode]);
+        const promptInput = document.getElementById(inputId);
+        if (entry && promptInput && !promptInput.value.trim() && getPromptVariables(entry.text).length === 0) {
+            promptInput.value = entry.text;
+        }
+    }
+}
+
+// Writes the library to prompt-library.json in the plugin data folder
+async function exportPromptLibrary() {
+    try {
+        const library = loadPromptLibrary();
+        const data = { app: 'RouterShop', type: 'promptLibrary', exportedAt: new Date().toISOString(), ...library };
+
+        const dataFolder = await localFileSystem.getDataFolder();
+        const file = await dataFolder.createFile(PROMPT_LIBRARY_FILE_NAME, { overwrite: true });
+        await file.write(JSON.stringify(data, null, 2), { format: uxp.storage.formats.utf8 });
+        console.log('[exportPromptLibrary] ✅ Prompt library exported to', file.nativePath);
+        showPromptLibraryStatus(`✅ Exported ${library.entries.length} entries to ${file.nativePath}`);
+    } catch (error) {
+        console.error('[exportPromptLibrary] ❌ Error:', error);
+        showPromptLibraryStatus(`❌ Error exporting prompt library: ${error.message}`);
+    }
+}
+
+/**
+ * Merges prompt-library.json from the data folder into the library. Entries
+ * with an ID that already exists replace the stored entry; defaults in the
+ * file only apply to modes that have none yet.
+ */
+async function importPromptLibrary() {
+    try {
+        const dataFolder = await localFileSystem.getDataFolder();
+        let file;
+        try {
+            file = await dataFolder.getEntry(PROMPT_LIBRARY_FILE_NAME);
+        } catch (e) {
+            // File doesn't exist
+            file = null;
+        }
+        if (!file) {
+            showPromptLibraryStatus(`❌ No ${PROMPT_LIBRARY_FILE_NAME} found in the data folder. Export the library first.`);
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.read({ format: uxp.storage.formats.utf8 }));
+        } catch (e) {
+            throw new Error(`${PROMPT_LIBRARY_FILE_NAME} is not valid JSON (${e.message})`);
+        }
+        const imported = normalizePromptEntries(parsed?.entries);
+
+        const library = loadPromptLibrary();
+        for (const entry of imported) {
+            const index = library.entries.findIndex(e => e.id === entry.id);
+            if (index === -1) {
+                library.entries.push(entry);
+            } else {
+                library.entries[index] = entry;
+            }
+        }
+        for (const [mode, entryId] of Object.entries(parsed.defaults || {})) {
+            if (PROMPT_LIBRARY_MODES[mode] && !library.defaults[mode] && imported.some(e => e.id === entryId)) {
+                library.defaults[mode] = entryId;
+            }
+        }
+        savePromptLibrary(library);
+
+        console.log(`[importPromptLibrary] ✅ Imported ${imported.length} entries`);
+        showPromptLibraryStatus(`✅ Imported ${imported.length} entries`);
+        renderPromptLibrary();
+    } catch (error) {
+        console.error('[importPromptLibrary] ❌ Error:', error);
+        showPromptLibraryStatus(`❌ Error importing prompt library: ${error.message}`);
+    }
+}
+
+// --- PNG decoding ---
+
+// Length and distance tables of the DEFLATE format (RFC 1951)
+const INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const INFLATE_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const INFLATE_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Channels per pixel for each PNG colour type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function readInflateBits(state, count) {
+    let value = state.bitBuffer;
+    while (state.bitCount < count) {
+        if (state.pos >= state.data.length) throw new Error('Unexpected end of compressed data');
+        value |= state.data[state.pos++] << state.bitCount;
+        state.bitCount += 8;
+    }
+    state.bitBuffer = value >>> count;
+    state.bitCount -= count;
+    return value & ((1 << count) - 1);
+}
+
+// Canonical Huffman table: code counts per bit length and symbols in code order
+function buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 15; length++) offsets[length + 1] = offsets[length] + counts[length];
+
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+        if (length) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+}
+
+function decodeHuffmanSymbol(state, table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+        code |= readInflateBits(state, 1);
+        const count = table.counts[length];
+        if (code - count < first) return table.symbols[index + (code - first)];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in compressed data');
+}
+
+function readDynamicHuffmanTables(state) {
+    const literalCount = readInflateBits(state, 5) + 257;
+    const distanceCount = readInflateBits(state, 5) + 1;
+    const codeLengthCount = readInflateBits(state, 4) + 4;
+
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[INFLATE_CODE_LENGTH_ORDER[i]] = readInflateBits(state, 3);
+    }
+    const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+        const symbol = decodeHuffmanSymbol(state, codeLengthTable);
+        if (symbol < 16) {
+            lengths.push(symbol);
+        } else if (symbol === 16) {
+            if (!lengths.length) throw new Error('Invalid code length repeat');
+            const previous = lengths[lengths.length - 1];
+            for (let n = 3 + readInflateBits(state, 2); n > 0; n--) lengths.push(previous);
+        } else {
+            const zeros = symbol === 17 ? 3 + readInflateBits(state, 3) : 11 + readInflateBits(state, 7);
+            for (let n = 0; n < zeros; n++) lengths.push(0);
+        }
+    }
+    return {
+        literals: buildHuffmanTable(lengths.slice(0, literalCount)),
+        distances: buildHuffmanTable(lengths.slice(literalCount, literalCount + distanceCount))
+    };
+}
+
+let fixedHuffmanTables = null;
+
+function getFixedHuffmanTables() {
+    if (!fixedHuffmanTables) {
+        const literalLengths = new Array(288);
+        for (let i = 0; i < 288; i++) literalLengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+        fixedHuffmanTables = {
+            literals: buildHuffmanTable(literalLengths),
+            distances: buildHuffmanTable(new Array(30).fill(5))
+        };
+    }
+    return fixedHuffmanTables;
+}
+
+/**
+ * Decompresses a zlib stream (the format of PNG image data).
+ * @param {Uint8Array} data
+ * @param {number} expectedSize - initial output size; the buffer grows if it is too small
+ * @returns {Uint8Array}
+ */
+function inflateZlib(data, expectedSize = 0) {
+    if ((data[0] & 0x0f) !== 8) throw new Error('Unsupported zlib compression method');
+
+    const state = { data, pos: 2, bitBuffer: 0, bitCount: 0 };
+    let output = new Uint8Array(Math.max(expectedSize, 1024));
+    let outLength = 0;
+    const ensureSpace = extra => {
+        if (outLength + extra <= output.length) return;
+        const grown = new Uint8Array(Math.max(output.length * 2, outLength + extra));
+        grown.set(output.subarray(0, outLength));
+        output = grown;
+    };
+
+    let lastBlock = 0;
+    while (!lastBlock) {
+        lastBlock = readInflateBits(state, 1);
+        const type = readInflateBits(state, 2);
+
+        if (type === 0) {
+            // Stored block: byte aligned, no compression
+            state.bitBuffer = 0;
+            state.bitCount = 0;
+            const length = data[state.pos] | (data[state.pos + 1] << 8);
+            state.pos += 4;
+            if (state.pos + length > data.length) throw new Error('Unexpected end of compressed data');
+            ensureSpace(length);
+            output.set(data.subarray(state.pos, state.pos + length), outLength);
+            outLength += length;
+            state.pos += length;
+            continue;
+        }
+        if (type === 3) throw new Error('Invalid compressed block type');
+
+        const { literals, distances } = type === 1 ? getFixedHuffmanTables() : readDynamicHuffmanTables(state);
+        for (;;) {
+            const symbol = decodeHuffmanSymbol(state, literals);
+            if (symbol < 256) {
+                ensureSpace(1);
+                output[outLength++] = symbol;
+            } else if (symbol === 256) {
+                break;
+            } else {
+                const lengthIndex = symbol - 257;
+                const length = INFLATE_LENGTH_BASE[lengthIndex] + readInflateBits(state, INFLATE_LENGTH_EXTRA[lengthIndex]);
+                const distanceIndex = decodeHuffmanSymbol(state, distances);
+                const distance = INFLATE_DIST_BASE[distanceIndex] + readInflateBits(state, INFLATE_DIST_EXTRA[distanceIndex]);
+                if (distance > outLength) throw new Error('Invalid back-reference in compressed data');
+                ensureSpace(length);
+                // Byte by byte: the copy may overlap its own output
+                for (let i = 0; i < length; i++, outLength++) {
+                    output[outLength] = output[outLength - distance];
+                }
+            }
+        }
+    }
+    return output.subarray(0, outLength);
+}
+
+function paethPredictor(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Decodes a non-interlaced 8- or 16-bit PNG into 8-bit RGBA pixels.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ * @throws {Error} for formats this decoder doesn't handle, so callers can fall back
+ */
+function decodePng(bytes) {
+    const pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
+    if (!pngSignature.every((byte, index) => bytes[index] === byte)) throw new Error('Not a PNG image');
+
+    const readUint32 = (source, offset) => ((source[offset] << 24) | (source[offset + 1] << 16) | (source[offset + 2] << 8) | source[offset + 3]) >>> 0;
+    let header = null;
+    let palette = null;
+    let paletteAlpha = null;
+    const idatChunks = [];
+    let idatLength = 0;
+
+    for (let offset = 8; offset + 8 <= bytes.length;) {
+        const length = readUint32(bytes, offset);
+        const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+        const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: readUint32(chunk, 0),
+                height: readUint32(chunk, 4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            paletteAlpha = chunk;
+        } else if (type === 'IDAT') {
+            idatChunks.push(chunk);
+            idatLength += chunk.length;
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) throw new Error('PNG has no IHDR chunk');
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+    if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+    if (interlace) throw new Error('Interlaced PNGs are not supported');
+    if (colorType === 3 && !palette) throw new Error('Palette PNG without a palette');
+
+    const compressed = new Uint8Array(idatLength);
+    let position = 0;
+    for (const chunk of idatChunks) {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    }
+
+    const bytesPerPixel = channels * (bitDepth / 8);
+    const rowBytes = width * bytesPerPixel;
+    const raw = inflateZlib(compressed, height * (rowBytes + 1));
+    if (raw.length < height * (rowBytes + 1)) throw new Error('PNG image data is truncated');
+
+    // Undo the per-row filters in place, then expand every pixel to RGBA
+    const rgba = new Uint8Array(width * height * 4);
+    let previous = new Uint8Array(rowBytes);
+    const sampleStep = bitDepth / 8;
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowBytes + 1)];
+        const row = raw.subarray(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1));
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            switch (filter) {
+                case 0: break;
+                case 1: row[i] = (row[i] + left) & 0xff; break;
+                case 2: row[i] = (row[i] + up) & 0xff; break;
+                case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+                case 4: row[i] = (row[i] + paethPredictor(left, up, upLeft)) & 0xff; break;
+                default: throw new Error(`Invalid PNG filter type ${filter}`);
+            }
+        }
+
+        for (let x = 0; x < width; x++) {
+            // 16-bit samples keep their high byte
+            const sample = channel => row[(x * channels + channel) * sampleStep];
+            const out = (y * width + x) * 4;
+            if (colorType === 3) {
+                const index = sample(0);
+                rgba[out] = palette[index * 3];
+                rgba[out + 1] = palette[index * 3 + 1];
+                rgba[out + 2] = palette[index * 3 + 2];
+                rgba[out + 3] = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+            } else if (channels <= 2) {
+                rgba[out] = rgba[out + 1] = rgba[out + 2] = sample(0);
+                rgba[out + 3] = channels === 2 ? sample(1) : 255;
+            } else {
+                rgba[out] = sample(0);
+                rgba[out + 1] = sample(1);
+                rgba[out + 2] = sample(2);
+                rgba[out + 3] = channels === 4 ? sample(3) : 255;
+            }
+        }
+        previous = row;
+    }
+
+    return { width, height, data: rgba };
+}
+
+/**
+ * Crops decoded RGBA pixels to a rectangle given as fractions (0..1) of the
+ * image, rounded the same way as the temp-document crop.
+ */
+function cropDecodedImage(decoded, cropRect) {
+    const left = Math.round(cropRect.left * decoded.width);
+    const top = Math.round(cropRect.top * decoded.height);
+    const width = Math.max(1, Math.round(cropRect.right * decoded.width) - left);
+    const height = Math.max(1, Math.round(cropRect.bottom * decoded.height) - top);
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const start = ((top + y) * decoded.width + left) * 4;
+        data.set(decoded.data.subarray(start, start + width * 4), y * width * 4);
+    }
+    return { width, height, data };
+}
+
+// File extension for each format readImageHeader() recognises
+const IMAGE_FILE_EXTENSIONS = { png: 'png', jpeg: 'jpg', webp: 'webp', gif: 'gif' };
+
+/**
+ * Reads the format and pixel size from the header of an encoded image.
+ * Understands PNG (IHDR), JPEG (SOF markers), WebP (VP8, VP8L and VP8X) and GIF.
+ * @param {Uint8Array} bytes
+ * @returns {{width: number, height: number, format: string}|null} null when the format isn't recognised
+ */
+function readImageHeader(bytes) {
+    const matches = (signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte);
+    const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+    const uint16BE = offset => (bytes[offset] << 8) | bytes[offset + 1];
+    const uint16LE = offset => bytes[offset] | (bytes[offset + 1] << 8);
+    const uint24LE = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    const uint32BE = offset => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+    if (matches([137, 80, 78, 71, 13, 10, 26, 10]) && ascii(12, 4) === 'IHDR') {
+        return { width: uint32BE(16), height: uint32BE(20), format: 'png' };
+    }
+
+    if (matches([0xFF, 0xD8])) {
+        // Walk the marker segments up to the first start-of-frame
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xFF) return null;
+            const marker = bytes[offset + 1];
+            if (marker === 0xFF) {
+                offset++; // fill byte
+                continue;
+            }
+            if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                offset += 2; // markers without a length
+                continue;
+            }
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+            if (isStartOfFrame && offset + 9 <= bytes.length) {
+                return { width: uint16BE(offset + 7), height: uint16BE(offset + 5), format: 'jpeg' };
+            }
+            if (marker === 0xD9 || marker === 0xDA) return null; // image data reached without a frame header
+            offset += 2 + uint16BE(offset + 2);
+        }
+        return null;
+    }
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const chunk = ascii(12, 4);
+        if (chunk === 'VP8 ' && matches([0x9D, 0x01, 0x2A], 23)) {
+            return { width: uint16LE(26) & 0x3FFF, height: uint16LE(28) & 0x3FFF, format: 'webp' };
+        }
+        if (chunk === 'VP8L' && bytes[20] === 0x2F) {
+            const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1, format: 'webp' };
+        }
+        if (chunk === 'VP8X') {
+            return { width: uint24LE(24) + 1, height: uint24LE(27) + 1, format: 'webp' };
+        }
+        return null;
+    }
+
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+        return { width: uint16LE(6), height: uint16LE(8), format: 'gif' };
+    }
+
+    return null;
+}
+
+/**
+ * Reads the real format and size of an image data URL.
+ * @param {string} base64Data - data URL or raw Base64
+ * @returns {Promise<{width: number, height: number, format: 'png'|'jpeg'|'webp'|'gif'}>}
+ * @throws {Error} when the data isn't an image in a format Photoshop can place
+ */
+async function getImageDimensions(base64Data) {
+    let base64 = base64Data;
+    if (base64.startsWith('data:')) {
+        base64 = base64.substring(base64.indexOf(',') + 1);
+    }
+
+    const header = readImageHeader(convertBase64ToArrayBuffer(base64));
+    if (!header || !header.width || !header.height) {
+        const declaredType = /^data:([^;,]+)/.exec(base64Data)?.[1] || 'unknown type';
+        throw new Error(`The returned image could not be decoded (${declaredType}, not a recognisable PNG, JPEG, WebP or GIF).`);
+    }
+    return header;
+}
+
+/**
+ * Base64 to ArrayBuffer conversion
+ * Used to convert Base64 API image data into a Uint8Array for file system write.
+ */
+function convertBase64ToArrayBuffer(base64) {
+    let binaryString;
+    try {
+        binaryString = atob(base64);
+    } catch (e) {
+        console.warn("Base64 decoding failed");
+        return new Uint8Array(0); 
+    }
+
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes; 
+}
+
+/**
+ * ArrayBuffer/Uint8Array to Base64 conversion
+ * Used to turn binary file contents back into data URLs for display and placement.
+ */
+function convertArrayBufferToBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binaryString = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binaryString);
+}
+
+// --- Photoshop Integration - putPixels, falling back to app.open() and layer.duplicate() ---
+
+/**
+ * Writes a generated PNG straight into a new pixel layer with imaging.putPixels,
+ * without a temp file or temp document.
+ * @param {Document} targetDoc
+ * @param {Uint8Array} bytes - the encoded image
+ * @param {{cropRect?: {left: number, top: number, right: number, bottom: number}, position?: function({width: number, height: number}): {left: number, top: number}}} [options]
+ *   cropRect (fractions 0..1) crops the decoded pixels first; position picks
+ *   the layer's top-left corner from the final size (default 0,0).
+ * @returns {Promise<Layer>} the new layer
+ * @throws {Error} when the image or document can't use this path; callers
+ *   fall back to the temp-document method
+ */
+async function putImageAsNewLayer(targetDoc, bytes, options = {}) {
+    if (targetDoc.mode !== constants.DocumentMode.RGB) throw new Error(`Document mode ${targetDoc.mode} is not RGB`);
+    if (targetDoc.bitsPerChannel !== constants.BitsPerChannelType.EIGHT) throw new Error('Document is not 8 bits per channel');
+
+    let decoded = decodePng(bytes);
+    if (options.cropRect) decoded = cropDecodedImage(decoded, options.cropRect);
+    const { left, top } = options.position ? options.position(decoded) : { left: 0, top: 0 };
+
+    let newLayer = null;
+    await core.executeAsModal(async () => {
+        app.activeDocument = targetDoc;
+        newLayer = targetDoc.createPixelLayer
+            ? await targetDoc.createPixelLayer({ name: 'Generated Image' })
+            : await targetDoc.createLayer({ name: 'Generated Image' });
+
+        const pixelData = await imaging.createImageDataFromBuffer(decoded.data, {
+            width: decoded.width,
+            height: decoded.height,
+            components: 4,
+            chunky: true,
+            colorSpace: 'RGB',
+            colorProfile: 'sRGB IEC61966-2.1'
+        });
+        try {
+            await imaging.putPixels({
+                documentID: targetDoc.id,
+                layerID: newLayer.id,
+                imageData: pixelData,
+                targetBounds: { left, top },
+                replace: true
+            });
+        } catch (error) {
+            // Don't leave an empty layer behind for the fallback to stack on
+            try {
+                newLayer.delete();
+            } catch (e) {
+                console.warn('[putImageAsNewLayer] ⚠️ Could not remove the empty layer:', e.message);
+            }
+            throw error;
+        } finally {
+            pixelData.dispose();
+        }
+    }, { commandName: "Add Generated Image" });
+
+    console.log(`[putImageAsNewLayer] ✅ Wrote ${decoded.width}x${decoded.height} pixels at (${left}, ${top})`);
+    return newLayer;
+}
+
+/**
+ * Adds a base64 image to the target document as a new layer, centred on the
+ * canvas. PNGs are written directly with putPixels; anything else (or a failed
+ * direct write) is saved to a temp file, opened in Photoshop and its layer
+ * duplicated to the target document.
+ * @param {string} imageData - data URL of the generated image
+ * @param {number} [documentID] - document to place into; defaults to the active document
+ * @returns {Promise<Layer>} the new layer in the target document
+ */
+async function addImageToPhotoshop(imageData, documentID = null) {
+    console.log('=== START addImageToPhotoshop (putPixels, temp document fallback) ===');
+
+    const targetDoc = resolveTargetDocument(documentID);
+
+    const app = photoshop.app;
     const core = photoshop.core;
-    const action = photoshop.action;
-    const localFS = localFileSystem;
 
-    let tempFile = null;
-    let tempDoc = null;
+    let tempFile = null;
+    let tempDoc = null;
+    let newLayer = null;
+
+    try {
+        // STEP 1: Prepare image data
+        console.log('STEP 1: Preparing image data...');
+        let base64Data = imageData.split(',')[1];
+        if (!base64Data) throw new Error("Invalid image data format");
+        
+        const uint8Array = convertBase64ToArrayBuffer(base64Data);
+        if (uint8Array.byteLength === 0) throw new Error("Buffer is empty");
+        
+        const dimensions = await getImageDimensions(imageData);
+        console.log(`Format: ${dimensions.format}, ${dimensions.width}x${dimensions.height}, Size: ${uint8Array.byteLength} bytes`);
+
+        if (dimensions.format === 'png') {
+            try {
+                newLayer = await putImageAsNewLayer(targetDoc, uint8Array, {
+                    position: size => ({
+                        left: Math.round((safeAsPx(targetDoc.width) - size.width) / 2),
+                        top: Math.round((safeAsPx(targetDoc.height) - size.height) / 2)
+                    })
+                });
+                console.log('✅ Image written directly to Photoshop!');
+                return newLayer;
+            } catch (e) {
+                console.warn('⚠️ Direct pixel write failed, falling back to a temp document:', e.message);
+            }
+        }
+
+        // STEP 2: Write to temp file in data folder
+        console.log('STEP 2: Writing to data folder...');
+        const dataFolder = await localFileSystem.getDataFolder(); 
+        const extension = IMAGE_FILE_EXTENSIONS[dimensions.format];
+        const fileName = `temp_generated_${Date.now()}.${extension}`; 
+        
+        tempFile = await dataFolder.createFile(fileName, { overwrite: true });
+        await tempFile.write(uint8Array, { format: uxp.storage.formats.binary }); 
+        console.log('Temp file written successfully');
+
+        // STEP 3: Open the image and copy to active document
+        console.log('STEP 3: Opening image and copying to target document...');
+        
+        await core.executeAsModal(async () => {
+            // Open the temp file as a new document
+            tempDoc = await app.open(tempFile);
+            console.log('Image opened as temp document');
+            
+            // Duplicate the background/first layer to the target document
+            const layerToCopy = tempDoc.layers[0];
+            newLayer = await layerToCopy.duplicate(targetDoc);
+            console.log('Layer duplicated to target document');
+            
+            // Close the temp document without saving
+            await tempDoc.closeWithoutSaving();
+            tempDoc = null;
+            console.log('Temp document closed');
+            
+            // Set the active document back to the target
+            app.activeDocument = targetDoc;
+            
+        }, { commandName: "Add Generated Image" });
+        
+        console.log('✅ Image successfully added to Photoshop!');
+        return newLayer;
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        console.error('Error details:', error.message);
+        
+        // Try to close temp document if it's still open
+        if (tempDoc) {
+            try {
+                await tempDoc.closeWithoutSaving();
+            } catch (e) {
+                console.warn('Could not close temp document:', e.message);
+            }
+        }
+        
+        throw error;
+    } finally {
+        // Cleanup temp file
+        if (tempFile) {
+            try { 
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                await tempFile.delete(); 
+                console.log("Temp file cleaned up.");
+            } catch (e) { 
+                console.warn("Could not delete temp file:", e.message); 
+            }
+        }
+    }
+}
+
+
+// --- Helper for bounds conversion (must be available globally in the file) ---
+
+
+// --- Selection mask helpers ---
+
+/**
+ * Reads the selection channel inside the given bounds as raw grayscale bytes
+ * (0 = not selected, 255 = fully selected, anything in between = feathered).
+ * Must be called from inside executeAsModal.
+ * @returns {Promise<{data: Uint8Array, width: number, height: number, isRectangular: boolean}>}
+ */
+async function readSelectionMask(documentID, bounds) {
+    const selectionData = await imaging.getSelection({
+        documentID,
+        sourceBounds: bounds
+    });
+
+    try {
+        const { width, height } = selectionData.imageData;
+        const data = await selectionData.imageData.getData({ chunky: true });
+
+        // A plain rectangle selects every pixel of its bounding box
+        const isRectangular = data.every(value => value === 255);
+
+        return { data, width, height, isRectangular };
+    } finally {
+        selectionData.imageData.dispose();
+    }
+}
+
+/**
+ * Encodes a selection mask as a black/white PNG (white = area to edit).
+ * @returns {Promise<string>} raw Base64 string (no data URL prefix)
+ */
+async function encodeSelectionMask(mask) {
+    const rgb = new Uint8Array(mask.width * mask.height * 3);
+    for (let i = 0; i < mask.data.length; i++) {
+        rgb[i * 3] = rgb[i * 3 + 1] = rgb[i * 3 + 2] = mask.data[i];
+    }
+
+    const maskImageData = await imaging.createImageDataFromBuffer(rgb, {
+        width: mask.width,
+        height: mask.height,
+        components: 3,
+        chunky: true,
+        colorSpace: "RGB",
+        colorProfile: "sRGB IEC61966-2.1"
+    });
+
+    try {
+        return await imaging.encodeImageData({
+            "imageData": maskImageData,
+            "base64": true,
+            "outputFormat": "png"
+        });
+    } finally {
+        maskImageData.dispose();
+    }
+}
+
+/**
+ * Encodes the selected pixels with everything outside the selection made
+ * transparent, for models that accept a single image but no separate mask.
+ * @returns {Promise<string>} raw Base64 string (no data URL prefix)
+ */
+async function encodeMaskedImage(sourceImageData, mask) {
+    const components = sourceImageData.components;
+    const pixels = await sourceImageData.getData({ chunky: true });
+    const rgba = new Uint8Array(mask.width * mask.height * 4);
+
+    for (let i = 0; i < mask.data.length; i++) {
+        const src = i * components;
+        const sourceAlpha = components === 4 ? pixels[src + 3] : 255;
+        rgba[i * 4] = pixels[src];
+        rgba[i * 4 + 1] = pixels[src + 1];
+        rgba[i * 4 + 2] = pixels[src + 2];
+        rgba[i * 4 + 3] = Math.round((mask.data[i] * sourceAlpha) / 255);
+    }
+
+    const maskedImageData = await imaging.createImageDataFromBuffer(rgba, {
+        width: mask.width,
+        height: mask.height,
+        components: 4,
+        chunky: true,
+        colorSpace: "RGB",
+        colorProfile: "sRGB IEC61966-2.1"
+    });
+
+    try {
+        return await imaging.encodeImageData({
+            "imageData": maskedImageData,
+            "base64": true,
+            "outputFormat": "png"
+        });
+    } finally {
+        maskedImageData.dispose();
+    }
+}
+
+/**
+ * Grows bounds by `margin` pixels on every side, clamped to the document canvas.
+ */
+function expandBoundsWithinDocument(bounds, margin, doc) {
+    return {
+        left: Math.max(0, bounds.left - margin),
+        top: Math.max(0, bounds.top - margin),
+        right: Math.min(safeAsPx(doc.width), bounds.right + margin),
+        bottom: Math.min(safeAsPx(doc.height), bounds.bottom + margin)
+    };
+}
+
+/**
+ * Places a selection mask captured for innerBounds into a larger, unselected
+ * canvas covering outerBounds.
+ */
+function padSelectionMask(mask, innerBounds, outerBounds) {
+    const width = Math.round(outerBounds.right - outerBounds.left);
+    const height = Math.round(outerBounds.bottom - outerBounds.top);
+    const offsetX = Math.round(innerBounds.left - outerBounds.left);
+    const offsetY = Math.round(innerBounds.top - outerBounds.top);
+    const data = new Uint8Array(width * height);
+
+    for (let y = 0; y < mask.height; y++) {
+        data.set(mask.data.subarray(y * mask.width, (y + 1) * mask.width), (y + offsetY) * width + offsetX);
+    }
+    return { data, width, height, isRectangular: false };
+}
+
+// --- Input image encoding ---
+
+// Upload formats for the selection image; masks and transparent copies stay PNG
+const INPUT_IMAGE_MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+/**
+ * Reads the input image settings: the longest side to upload (0 = full
+ * resolution), the encoding and its quality (10-100, lossy formats only).
+ */
+function getInputImageSettings() {
+    const maxDimension = parseInt(document.getElementById('setting-input-max-dimension')?.value, 10) || 0;
+    const format = document.getElementById('setting-input-format')?.value;
+    const quality = parseInt(document.getElementById('setting-input-quality')?.value, 10) || 85;
+    return {
+        maxDimension: Math.max(0, maxDimension),
+        format: INPUT_IMAGE_MIME_TYPES[format] ? format : 'png',
+        quality: Math.min(100, Math.max(10, quality))
+    };
+}
+
+function updateInputQualityLabel() {
+    const input = document.getElementById('setting-input-quality');
+    const label = document.getElementById('setting-input-quality-value');
+    if (input && label) label.textContent = input.value;
+}
+
+/**
+ * Size to capture a width x height area at so its longest side fits maxDimension.
+ * @returns {{width: number, height: number, scaled: boolean}}
+ */
+function getInputTargetSize(width, height, maxDimension) {
+    const scale = maxDimension > 0 ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        scaled: scale < 1
+    };
+}
+
+/**
+ * Encodes captured pixels for upload in the configured format. WebP falls back
+ * to JPEG, and JPEG to PNG, where Photoshop can't encode them.
+ * @returns {Promise<{base64: string, format: string, mimeType: string}>}
+ */
+async function encodeInputImage(imageData, settings = getInputImageSettings()) {
+    const formats = [...new Set([settings.format, settings.format === 'webp' ? 'jpeg' : 'png', 'png'])];
+    for (const format of formats) {
+        try {
+            const base64 = await imaging.encodeImageData({
+                "imageData": imageData,
+                "base64": true,
+                "outputFormat": format,
+                ...(format === 'png' ? {} : { "quality": settings.quality })
+            });
+            return { base64, format, mimeType: INPUT_IMAGE_MIME_TYPES[format] };
+        } catch (e) {
+            if (format === 'png') throw e;
+            console.warn(`[encodeInputImage] ⚠️ Could not encode ${format.toUpperCase()}, trying the next format:`, e.message);
+        }
+    }
+}
+
+/**
+ * Nearest-neighbour resize of a selection mask, so it lines up with a
+ * downscaled input image.
+ */
+function resizeSelectionMask(mask, width, height) {
+    if (mask.width === width && mask.height === height) return mask;
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const sourceRow = Math.min(mask.height - 1, Math.floor((y + 0.5) * mask.height / height)) * mask.width;
+        for (let x = 0; x < width; x++) {
+            data[y * width + x] = mask.data[sourceRow + Math.min(mask.width - 1, Math.floor((x + 0.5) * mask.width / width))];
+        }
+    }
+    return { ...mask, data, width, height };
+}
+
+/**
+ * Human-readable payload size, e.g. "312 KB" or "4.2 MB".
+ */
+function formatPayloadSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// --- Modified extractSelectionImage Function ---
+/**
+ * Extracts the pixel data from the active selection and returns it as an object
+ * containing the raw Base64 string, the original selection bounds and the
+ * selection mask. For non-rectangular (lasso, quick mask, feathered) selections
+ * the mask is also encoded as a PNG, together with a masked-transparency copy
+ * of the image.
+ *
+ * With a context margin, the image covers the selection plus that many pixels
+ * of surrounding scene (captureBounds), and the mask is always encoded so it
+ * marks the selection inside the larger image. selectionBounds and
+ * selectionMask still describe the selection itself.
+ *
+ * The uploaded images are downscaled to the Max Input Size setting and
+ * encoded in the configured format (inputSize, inputMimeType); the bounds and
+ * selectionMask stay at full document resolution for placement.
+ * @param {number} [contextMargin=0] - surrounding pixels to include on each side
+ * @returns {Promise<{base64Image: string, inputMimeType: string, inputSize: {width: number, height: number}, selectionBounds: {left: number, top: number, right: number, bottom: number}, captureBounds: {left: number, top: number, right: number, bottom: number}, selectionMask: {data: Uint8Array, width: number, height: number, isRectangular: boolean}, maskBase64: string|null, maskedBase64: string|null}>}
+ */
+async function extractSelectionImage(contextMargin = 0) {
+    const statusDiv = document.getElementById('status-img2img');
+    const logPrefix = "[extractSelectionImage]";
+    
+    if (!photoshop.app.activeDocument) {
+        throw new Error('No active document open.');
+    }
+
+    let pixelData = null;
+    let selectionBounds = null; // Defined here to be accessible at the end
+    let captureBounds = null;
+    let selectionMask = null;
+    let maskBase64 = null;
+    let maskedBase64 = null;
+    let inputMimeType = null;
+    let inputSize = null;
+    const inputSettings = getInputImageSettings();
+
+    try {
+        // --- Selection Check (Robust DOM check) ---
+        let hasSelection = false;
+        const sel = photoshop.app.activeDocument.selection;
+        
+        try {
+            if (sel && sel.bounds) hasSelection = true;
+        } catch {
+            hasSelection = false;
+        }
+
+        if (!hasSelection) {
+            throw new Error("Please make a selection in the active document first.");
+        }
+        
+        let base64Image = null;
+        
+        await core.executeAsModal(async () => {
+            
+            const selection = photoshop.app.activeDocument.selection;
+            let boundsValue = selection.bounds;
+            
+            let left, top, right, bottom;
+            
+            if (Array.isArray(boundsValue) && boundsValue.length === 4) {
+                // Scenario 1: Legacy Array of UnitValue objects
+                [left, top, right, bottom] = boundsValue.map(safeAsPx);
+                
+            } else if (
+                typeof boundsValue === 'object' &&
+                ('left' in boundsValue || '_left' in boundsValue) // Check for properties
+            ) {
+                // Scenario 2: Newer Bounds object structure (or variant)
+                left = safeAsPx(boundsValue.left || boundsValue._left);
+                top = safeAsPx(boundsValue.top || boundsValue._top);
+                right = safeAsPx(boundsValue.right || boundsValue._right);
+                bottom = safeAsPx(boundsValue.bottom || boundsValue._bottom);
+            } else {
+                throw new Error("Selection bounds structure is invalid. Please try a simple rectangular selection.");
+            }
+
+            selectionBounds = { left, top, right, bottom }; // <<< Selection bounds captured here
+
+            const width = right - left;
+            const height = bottom - top;
+
+            if (width <= 0 || height <= 0) {
+                throw new Error("The active selection must have a width and height greater than zero.");
+            }
+
+            // Surrounding pixels give the model the scene around the edit
+            captureBounds = contextMargin > 0
+                ? expandBoundsWithinDocument(selectionBounds, contextMargin, photoshop.app.activeDocument)
+                : selectionBounds;
+            const hasContext = captureBounds !== selectionBounds;
+
+            // Large selections are downscaled before upload
+            inputSize = getInputTargetSize(captureBounds.right - captureBounds.left, captureBounds.bottom - captureBounds.top, inputSettings.maxDimension);
+
+            // --- Extract pixels using imaging.getPixels ---
+            statusDiv.textContent = 'Extracting pixels...';
+            
+            pixelData = await imaging.getPixels({
+                documentID: photoshop.app.activeDocument.id,
+                sourceBounds: captureBounds,
+                ...(inputSize.scaled ? { targetSize: { width: inputSize.width, height: inputSize.height } } : {}),
+                colorSpace: "RGB", 
+                componentSize: 8,
+                applyAlpha: true
+            });
+            inputSize = { width: pixelData.imageData.width, height: pixelData.imageData.height };
+
+            // --- Encode Base64 using imaging.encodeImageData ---
+            statusDiv.textContent = 'Encoding image data...';
+            
+            const encoded = await encodeInputImage(pixelData.imageData, inputSettings);
+            base64Image = encoded.base64;
+            inputMimeType = encoded.mimeType;
+            console.log(`${logPrefix} 📦 Input encoded as ${encoded.format.toUpperCase()} at ${inputSize.width}x${inputSize.height}: ${formatPayloadSize(base64Image.length)}`);
+
+            // --- Read the selection channel so lasso/feathered shapes are kept ---
+            statusDiv.textContent = 'Reading selection mask...';
+
+            selectionMask = await readSelectionMask(photoshop.app.activeDocument.id, selectionBounds);
+            console.log(`${logPrefix} 🎭 Selection mask: ${selectionMask.width}x${selectionMask.height}, rectangular=${selectionMask.isRectangular}`);
+
+            // The uploaded masks must match the (possibly downscaled) input image
+            if (hasContext) {
+                // Even a rectangle is only part of the captured image now
+                const contextMask = resizeSelectionMask(padSelectionMask(selectionMask, selectionBounds, captureBounds), inputSize.width, inputSize.height);
+                maskBase64 = await encodeSelectionMask(contextMask);
+                maskedBase64 = await encodeMaskedImage(pixelData.imageData, contextMask);
+            } else if (!selectionMask.isRectangular) {
+                const inputMask = resizeSelectionMask(selectionMask, inputSize.width, inputSize.height);
+                maskBase64 = await encodeSelectionMask(inputMask);
+                maskedBase64 = await encodeMaskedImage(pixelData.imageData, inputMask);
+            }
+
+        }, { commandName: "Extract Selection Image" });
+
+        // RETURN IMAGE DATA, BOUNDS AND MASK
+        return { base64Image, inputMimeType, inputSize, selectionBounds, captureBounds, selectionMask, maskBase64, maskedBase64 };
+
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error during selection extraction:`, error);
+        throw error;
+    } finally {
+        if (pixelData?.imageData?.dispose) {
+            pixelData.imageData.dispose();
+            console.log(`${logPrefix} 🧹 Memory cleanup done.`);
+        }
+    }
+}
+// --- Document context for text-to-image ---
+
+// Longest side of the reference image sent with text-to-image requests
+const CONTEXT_IMAGE_MAX_SIZE = 1024;
+
+/**
+ * Captures the flattened document (or the current selection when one exists),
+ * downscaled so its longest side is at most `maxSize`, for use as a reference image.
+ * @returns {Promise<{base64Image: string, sourceBounds: {left: number, top: number, right: number, bottom: number}, fromSelection: boolean}>}
+ */
+async function extractDocumentContextImage(maxSize = CONTEXT_IMAGE_MAX_SIZE) {
+    const logPrefix = "[extractDocumentContextImage]";
+    const doc = photoshop.app.activeDocument;
+    if (!doc) {
+        throw new Error('No active document open.');
+    }
+
+    let sourceBounds = null;
+    let fromSelection = false;
+    try {
+        const bounds = doc.selection?.bounds;
+        if (bounds) {
+            sourceBounds = {
+                left: safeAsPx(bounds.left),
+                top: safeAsPx(bounds.top),
+                right: safeAsPx(bounds.right),
+                bottom: safeAsPx(bounds.bottom)
+            };
+            fromSelection = sourceBounds.right > sourceBounds.left && sourceBounds.bottom > sourceBounds.top;
+        }
+    } catch {
+        fromSelection = false;
+    }
+    if (!fromSelection) {
+        sourceBounds = { left: 0, top: 0, right: safeAsPx(doc.width), bottom: safeAsPx(doc.height) };
+    }
+
+    const width = sourceBounds.right - sourceBounds.left;
+    const height = sourceBounds.bottom - sourceBounds.top;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const targetSize = {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+
+    let pixelData = null;
+    let base64Image = null;
+    try {
+        await core.executeAsModal(async () => {
+            // No layerID: getPixels returns the composite, i.e. the flattened document
+            pixelData = await imaging.getPixels({
+                documentID: doc.id,
+                sourceBounds,
+                targetSize,
+                colorSpace: "RGB",
+                componentSize: 8,
+                applyAlpha: true
+            });
+
+            base64Image = await imaging.encodeImageData({
+                "imageData": pixelData.imageData,
+                "base64": true,
+                "outputFormat": "png"
+            });
+        }, { commandName: "Capture Document Context" });
+
+        console.log(`${logPrefix} 🖼️ Captured ${fromSelection ? 'selection' : 'document'} at ${targetSize.width}x${targetSize.height}`);
+        return { base64Image, sourceBounds, fromSelection };
+    } finally {
+        if (pixelData?.imageData?.dispose) {
+            pixelData.imageData.dispose();
+        }
+    }
+}
+
+// --- Helper for consistent pixel conversion ---
+const safeAsPx = (v) => {
+    if (typeof v === "object" && v !== null && typeof v.as === "function") {
+        return v.as("px");
+    }
+    return Number(v);
+};
+// --- Helper: safely read layer bounds as pixels ---
+// --- Helper: safely read layer bounds as pixels ---
+// --- Helper: safely read layer bounds as pixels ---
+function getLayerBounds(layer) {
+    const lb = layer.bounds;
+    let left, top, right, bottom;
+
+    if (Array.isArray(lb) && lb.length === 4) {
+        [left, top, right, bottom] = lb.map(v => (v.as ? v.as("px") : Number(v)));
+    } else if (lb && typeof lb === "object") {
+        left = lb.left?.as ? lb.left.as("px") : lb.left ?? lb._left ?? 0;
+        top = lb.top?.as ? lb.top.as("px") : lb.top ?? lb._top ?? 0;
+        right = lb.right?.as ? lb.right.as("px") : lb.right ?? lb._right ?? 0;
+        bottom = lb.bottom?.as ? lb.bottom.as("px") : lb.bottom ?? lb._bottom ?? 0;
+    } else {
+        left = top = right = bottom = 0;
+    }
+
+    return { left, top, right, bottom };
+}
+
+// // --- Main function ---
+// async function addImageToPhotoshopWithTransform(imageData, targetBounds) {
+//     const logPrefix = "[addImageToPhotoshopWithTransform]";
+//     console.log(`${logPrefix} === START ===`);
+
+//     if (!photoshop.app.activeDocument) {
+//         throw new Error('No active document found. Please open a document in Photoshop first.');
+//     }
+
+//     const app = photoshop.app;
+//     const core = photoshop.core;
+//     const action = photoshop.action;
+//     const localFS = localFileSystem;
+
+//     let tempFile = null;
+//     let tempDoc = null;
+
+//     try {
+//         // --- Step 1: Prepare image ---
+//         let base64Data = imageData.split(',')[1];
+//         if (!base64Data) throw new Error("Invalid image data format");
+
+//         const uint8Array = convertBase64ToArrayBuffer(base64Data);
+//         const dimensions = await getImageDimensions(imageData); // {width, height, format}
+//         console.log(`${logPrefix} 🖼️ Generated image dimensions:`, dimensions);
+
+//         const dataFolder = await localFS.getDataFolder();
+//         const extension = dimensions.format === 'jpeg' ? 'jpg' : 'png';
+//         const fileName = `temp_generated_${Date.now()}.${extension}`;
+//         tempFile = await dataFolder.createFile(fileName, { overwrite: true });
+//         await tempFile.write(uint8Array, { format: uxp.storage.formats.binary });
+//         console.log(`${logPrefix} 💾 Temp image written to: ${tempFile.nativePath}`);
+
+//         const targetDoc = app.activeDocument;
+
+//         // --- Step 2: Execute Photoshop actions ---
+//         await core.executeAsModal(async () => {
+//             console.log(`${logPrefix} 🔒 Entered executeAsModal`);
+
+//             // Open temp image
+//             tempDoc = await app.open(tempFile);
+//             console.log(`${logPrefix} 🆕 Temp document opened. Layers: ${tempDoc.layers.length}`);
+
+//             // Duplicate to target
+//             const newLayer = await tempDoc.layers[0].duplicate(targetDoc);
+//             console.log(`${logPrefix} ✅ Layer duplicated to target doc: ${targetDoc.title}`);
+
+//             // Close temp doc
+//             await tempDoc.closeWithoutSaving();
+//             tempDoc = null;
+//             app.activeDocument = targetDoc;
+//             targetDoc.activeLayers = [newLayer];
+
+//             // --- Step 3: Deselect any active selection ---
+//             console.log(`${logPrefix} ✂️ Deselecting current selection to allow free transform...`);
+//             try {
+//                 targetDoc.selection.deselect();
+//                 console.log(`${logPrefix} ✅ Selection cleared.`);
+//             } catch (e) {
+//                 console.warn(`${logPrefix} ⚠️ Could not deselect selection:`, e.message);
+//             }
+
+//             // --- Step 4: Get original layer bounds ---
+//             const { left, top, right, bottom } = getLayerBounds(newLayer);
+//             const initW = right - left;
+//             const initH = bottom - top;
+//             console.log(`${logPrefix} 📏 Original layer size: ${initW} x ${initH}`);
+//             console.log(`${logPrefix} 📍 Original layer position: left=${left}, top=${top}`);
+
+//             // --- Step 5: Target selection size and center ---
+//             const selW = targetBounds.right - targetBounds.left;
+//             const selH = targetBounds.bottom - targetBounds.top;
+//             const targetCenterX = targetBounds.left + selW / 2;
+//             const targetCenterY = targetBounds.top + selH / 2;
+//             console.log(`${logPrefix} 🎯 Target selection size: ${selW} x ${selH}`);
+//             console.log(`${logPrefix} 🎯 Target center: (${targetCenterX}, ${targetCenterY})`);
+
+//             // --- Step 6: Apply absolute pixel transform ---
+//             const transformDesc = {
+//                 _obj: "transform",
+//                 _target: [{ _ref: "layer", _enum: "ordinal", _value: "targetEnum" }],
+//                 freeTransform: true,
+//                 linked: true,
+//                 width: { _unit: "pixelsUnit", _value: selW },
+//                 height: { _unit: "pixelsUnit", _value: selH },
+//                 to: {
+//                     _obj: "point",
+//                     horizontal: { _unit: "pixelsUnit", _value: targetCenterX },
+//                     vertical: { _unit: "pixelsUnit", _value: targetCenterY }
+//                 },
+//                 center: {
+//                     _obj: "point",
+//                     horizontal: { _unit: "pixelsUnit", _value: left + initW / 2 },
+//                     vertical: { _unit: "pixelsUnit", _value: top + initH / 2 }
+//                 }
+//             };
+
+//             await action.batchPlay([transformDesc], {});
+//             console.log(`${logPrefix} 🔧 Transform executed.`);
+
+//             // --- Step 7: Verify final bounds ---
+//             const finalBounds = getLayerBounds(newLayer);
+//             const finalW = finalBounds.right - finalBounds.left;
+//             const finalH = finalBounds.bottom - finalBounds.top;
+//             const finalCenterX = finalBounds.left + finalW / 2;
+//             const finalCenterY = finalBounds.top + finalH / 2;
+
+//             console.log(`${logPrefix} ✅ Final layer bounds:`, finalBounds);
+//             console.log(`${logPrefix} ✅ Final size: ${finalW} x ${finalH}`);
+//             console.log(`${logPrefix} ✅ Final center: (${finalCenterX.toFixed(1)}, ${finalCenterY.toFixed(1)})`);
+
+//         }, { commandName: "Add and Transform Generated Image" });
+
+//         console.log(`${logPrefix} ✅ Image added and transformed successfully.`);
+
+//     } catch (error) {
+//         console.error(`${logPrefix} ❌ Error:`, error);
+//         if (tempDoc) try { await tempDoc.closeWithoutSaving(); } catch {}
+//         throw error;
+
+//     } finally {
+//         if (tempFile) {
+//             try {
+//                 await new Promise(resolve => setTimeout(resolve, 500));
+//                 await tempFile.delete();
+//                 console.log(`${logPrefix} 🧹 Temp file cleaned up.`);
+//             } catch (e) {
+//                 console.warn(`${logPrefix} ⚠️ Could not delete temp file: ${e.message}`);
+//             }
+//         }
+//     }
+// }
+// --- Helper: turn a captured selection mask into a feathered layer mask ---
+/**
+ * Rebuilds the selection from a mask captured by readSelectionMask(), feathers
+ * it and adds it as a layer mask to the given layer. The selection is cleared
+ * again afterwards. Must be called from inside executeAsModal.
+ */
+async function applySelectionMaskToLayer(targetDoc, layer, selectionMask, targetBounds, featherRadius) {
+    const logPrefix = "[applySelectionMaskToLayer]";
+
+    const maskImageData = await imaging.createImageDataFromBuffer(selectionMask.data, {
+        width: selectionMask.width,
+        height: selectionMask.height,
+        components: 1,
+        chunky: true,
+        colorSpace: "Grayscale"
+    });
+
+    try {
+        await imaging.putSelection({
+            documentID: targetDoc.id,
+            imageData: maskImageData,
+            targetBounds: { left: targetBounds.left, top: targetBounds.top }
+        });
+        console.log(`${logPrefix} 🎭 Selection restored from captured mask`);
+    } finally {
+        maskImageData.dispose();
+    }
+
+    if (featherRadius > 0) {
+        await action.batchPlay([{
+            _obj: "feather",
+            radius: { _unit: "pixelsUnit", _value: featherRadius },
+            selectionModifyEffectAtCanvasBounds: true
+        }], {});
+        console.log(`${logPrefix} 🌫️ Selection feathered by ${featherRadius}px`);
+    }
+
+    targetDoc.activeLayers = [layer];
+    await action.batchPlay([{
+        _obj: "make",
+        new: { _class: "channel" },
+        at: { _ref: "channel", _enum: "channel", _value: "mask" },
+        using: { _enum: "userMaskEnabled", _value: "revealSelection" }
+    }], {});
+    console.log(`${logPrefix} ✅ Layer mask added`);
+
+    targetDoc.selection.deselect();
+}
+
+// --- Colour and tone matching ---
+
+// Width of the ring of surrounding pixels used as the colour reference
+const TONE_MATCH_RING_WIDTH = 16;
+
+/**
+ * Per-channel mean and standard deviation of the pixels accepted by `include`,
+ * plus a noise estimate from neighbouring-pixel differences.
+ * @returns {{mean: number[], std: number[], noise: number, count: number}}
+ */
+function computeToneStats(data, components, width, height, include) {
+    const sum = [0, 0, 0];
+    const sumSq = [0, 0, 0];
+    let count = 0;
+    let diffSum = 0;
+    let diffCount = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!include(x, y)) continue;
+            const i = (y * width + x) * components;
+            if (components === 4 && data[i + 3] === 0) continue;
+
+            for (let c = 0; c < 3; c++) {
+                sum[c] += data[i + c];
+                sumSq[c] += data[i + c] * data[i + c];
+            }
+            count++;
+
+            // Horizontal luma difference approximates high-frequency noise
+            if (x + 1 < width && include(x + 1, y)) {
+                const j = i + components;
+                diffSum += Math.abs((data[i] + data[i + 1] + data[i + 2]) - (data[j] + data[j + 1] + data[j + 2])) / 3;
+                diffCount++;
+            }
+        }
+    }
+
+    const mean = sum.map(s => (count ? s / count : 0));
+    const std = sumSq.map((s, c) => (count ? Math.sqrt(Math.max(0, s / count - mean[c] * mean[c])) : 0));
+    // Mean absolute difference of two samples with std σ is 2σ/√π
+    const noise = diffCount ? (diffSum / diffCount) * Math.sqrt(Math.PI) / 2 : 0;
+    return { mean, std, noise, count };
+}
+
+/**
+ * Measures the colour of a ring of pixels just outside the selection in the
+ * flattened document. Call before the generated patch is placed.
+ * @returns {Promise<{mean: number[], std: number[], noise: number, count: number}|null>} null when the
+ *   selection covers the whole canvas and there is nothing around it
+ */
+async function measureBorderTone(selectionBounds, ringWidth = TONE_MATCH_RING_WIDTH) {
+    const doc = app.activeDocument;
+    const outer = expandBoundsWithinDocument(selectionBounds, ringWidth, doc);
+    let stats = null;
+
+    await core.executeAsModal(async () => {
+        const pixelData = await imaging.getPixels({
+            documentID: doc.id,
+            sourceBounds: outer,
+            colorSpace: "RGB",
+            componentSize: 8,
+            applyAlpha: true
+        });
+
+        try {
+            const { width, height, components } = pixelData.imageData;
+            const data = await pixelData.imageData.getData({ chunky: true });
+            const innerLeft = selectionBounds.left - outer.left;
+            const innerTop = selectionBounds.top - outer.top;
+            const innerRight = selectionBounds.right - outer.left;
+            const innerBottom = selectionBounds.bottom - outer.top;
+
+            stats = computeToneStats(data, components, width, height,
+                (x, y) => x < innerLeft || x >= innerRight || y < innerTop || y >= innerBottom);
+        } finally {
+            pixelData.imageData.dispose();
+        }
+    }, { commandName: "Measure Selection Border" });
+
+    console.log(`[measureBorderTone] 🎨 Border tone:`, stats);
+    return stats && stats.count > 0 ? stats : null;
+}
+
+/**
+ * Curve points that map the patch's mean/std for one channel onto the reference's.
+ */
+function buildToneMatchCurve(referenceMean, referenceStd, patchMean, patchStd) {
+    // Keep the contrast change within sane limits for flat patches
+    const gain = patchStd > 1 ? Math.min(2, Math.max(0.5, referenceStd / patchStd)) : 1;
+    const points = [];
+    for (let x = 0; x <= 256; x += 32) {
+        const input = Math.min(255, x);
+        const output = Math.round(referenceMean + (input - patchMean) * gain);
+        points.push({ _obj: "paint", horizontal: input, vertical: Math.min(255, Math.max(0, output)) });
+    }
+    return points;
+}
+
+/**
+ * Matches a placed patch to the measured surroundings with a Curves adjustment
+ * layer clipped to it, and optionally adds the missing grain as an Add Noise
+ * smart filter, so both stay editable. Must be called from inside executeAsModal.
+ */
+async function applyToneMatch(targetDoc, layer, targetBounds, colorMatch, selectionMask = null) {
+    const logPrefix = "[applyToneMatch]";
+
+    const pixelData = await imaging.getPixels({
+        documentID: targetDoc.id,
+        layerID: layer.id,
+        sourceBounds: targetBounds,
+        colorSpace: "RGB",
+        componentSize: 8
+    });
+
+    let patch;
+    try {
+        const { width, height, components } = pixelData.imageData;
+        const data = await pixelData.imageData.getData({ chunky: true });
+        // Only compare pixels that end up visible when the patch is masked to the selection
+        const useMask = selectionMask && selectionMask.width === width && selectionMask.height === height;
+        patch = computeToneStats(data, components, width, height,
+            (x, y) => !useMask || selectionMask.data[y * width + x] >= 128);
+    } finally {
+        pixelData.imageData.dispose();
+    }
+    console.log(`${logPrefix} 🎨 Patch tone:`, patch);
+    if (!patch.count) return;
+
+    const { reference } = colorMatch;
+    const channels = ["red", "green", "blue"];
+
+    targetDoc.activeLayers = [layer];
+    await action.batchPlay([{
+        _obj: "make",
+        _target: [{ _ref: "adjustmentLayer" }],
+        using: {
+            _obj: "adjustmentLayer",
+            name: "Colour Match",
+            group: true, // clip to the patch below
+            type: {
+                _obj: "curves",
+                presetKind: { _enum: "presetKindType", _value: "presetKindCustom" },
+                adjustment: channels.map((channel, c) => ({
+                    _obj: "curvesAdjustment",
+                    channel: { _ref: "channel", _enum: "channel", _value: channel },
+                    curve: buildToneMatchCurve(reference.mean[c], reference.std[c], patch.mean[c], patch.std[c])
+                }))
+            }
+        }
+    }], {});
+    console.log(`${logPrefix} ✅ Clipped Curves adjustment added`);
+
+    if (colorMatch.addGrain && reference.noise > patch.noise + 0.5) {
+        // Independent noise adds in quadrature
+        const missingNoise = Math.sqrt(reference.noise * reference.noise - patch.noise * patch.noise);
+        const amount = Math.min(25, Math.max(0.5, (missingNoise / 255) * 100));
+
+        targetDoc.activeLayers = [layer];
+        await action.batchPlay([{
+            _obj: "addNoise",
+            distribution: { _enum: "distribution", _value: "gaussianDistribution" },
+            noise: { _unit: "percentUnit", _value: Number(amount.toFixed(1)) },
+            monochromatic: true
+        }], {});
+        console.log(`${logPrefix} 🌾 Grain added as smart filter: ${amount.toFixed(1)}%`);
+    }
+}
+
+// --- Main function: Transform generated image to match selection bounds ---
+/**
+ * Places a generated image as a smart object scaled and centred onto targetBounds.
+ * @param {string} imageData - data URL of the generated image
+ * @param {{left: number, top: number, right: number, bottom: number}} targetBounds
+ * @param {{selectionMask?: {data: Uint8Array, width: number, height: number}, featherRadius?: number, cropRect?: {left: number, top: number, right: number, bottom: number}, colorMatch?: {reference: Object, addGrain: boolean}, documentID?: number}} [options]
+ *   When a selection mask is given, the placed layer gets a layer mask built
+ *   from it, feathered by featherRadius pixels. cropRect (fractions 0..1 of the
+ *   generated image) crops a result generated with surrounding context back to
+ *   the selection before it is placed. colorMatch ({reference, addGrain}) adds
+ *   a clipped Curves layer matching the patch to measureBorderTone() stats.
+ *   documentID places into that document instead of the active one.
+ * @returns {Promise<Layer>} the placed smart object layer
+ */
+async function addImageToPhotoshopWithTransform(imageData, targetBounds, options = {}) {
+    const logPrefix = "[addImageToPhotoshopWithTransform]";
+    console.log(`${logPrefix} === START ===`);
+
+    const targetDoc = resolveTargetDocument(options.documentID);
+
+    const app = photoshop.app;
+    const core = photoshop.core;
+    const action = photoshop.action;
+    const localFS = localFileSystem;
+
+    let tempFile = null;
+    let tempDoc = null;
+    let placedLayer = null;
+
+    try {
+        // --- Step 1: Prepare image ---
+        let base64Data = imageData.split(',')[1];
+        if (!base64Data) throw new Error("Invalid image data format");
+
+        const uint8Array = convertBase64ToArrayBuffer(base64Data);
+        const dimensions = await getImageDimensions(imageData); // {width, height, format}
+        console.log(`${logPrefix} 🖼️ Generated image dimensions:`, dimensions);
+
+        // PNGs go straight into a new layer at the target's corner; the scale
+        // and translate below line it up exactly either way
+        let newLayer = null;
+        if (dimensions.format === 'png') {
+            try {
+                newLayer = await putImageAsNewLayer(targetDoc, uint8Array, {
+                    cropRect: options.cropRect,
+                    position: () => ({ left: Math.round(targetBounds.left), top: Math.round(targetBounds.top) })
+                });
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Direct pixel write failed, falling back to a temp document:`, e.message);
+            }
+        }
+
+        if (!newLayer) {
+            const dataFolder = await localFS.getDataFolder();
+            const extension = IMAGE_FILE_EXTENSIONS[dimensions.format];
+            const fileName = `temp_generated_${Date.now()}.${extension}`;
+            tempFile = await dataFolder.createFile(fileName, { overwrite: true });
+            await tempFile.write(uint8Array, { format: uxp.storage.formats.binary });
+            console.log(`${logPrefix} 💾 Temp image written to: ${tempFile.nativePath}`);
+        }
+
+        // --- Step 2: Execute Photoshop actions ---
+        await core.executeAsModal(async () => {
+            console.log(`${logPrefix} 🔒 Entered executeAsModal`);
+
+            if (!newLayer) {
+                // Open temp image and duplicate it into the target document
+                tempDoc = await app.open(tempFile);
+                console.log(`${logPrefix} 🆕 Temp document opened. Layers: ${tempDoc.layers.length}`);
+
+                // Generated with surrounding context: keep only the part that covers the selection
+                if (options.cropRect) {
+                    const tempW = safeAsPx(tempDoc.width);
+                    const tempH = safeAsPx(tempDoc.height);
+                    const cropBounds = {
+                        left: Math.round(options.cropRect.left * tempW),
+                        top: Math.round(options.cropRect.top * tempH),
+                        right: Math.round(options.cropRect.right * tempW),
+                        bottom: Math.round(options.cropRect.bottom * tempH)
+                    };
+                    await tempDoc.crop(cropBounds);
+                    console.log(`${logPrefix} ✂️ Cropped context back to selection:`, cropBounds);
+                }
+
+                newLayer = await tempDoc.layers[0].duplicate(targetDoc);
+                console.log(`${logPrefix} ✅ Layer duplicated to target doc: ${targetDoc.title}`);
+
+                // Close temp doc
+                await tempDoc.closeWithoutSaving();
+                tempDoc = null;
+            }
+            app.activeDocument = targetDoc;
+            targetDoc.activeLayers = [newLayer];
+
+            // Deselect any active selection to allow free transform
+            console.log(`${logPrefix} ✂️ Deselecting current selection to allow free transform...`);
+            try {
+                targetDoc.selection.deselect();
+                console.log(`${logPrefix} ✅ Selection cleared.`);
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not deselect selection:`, e.message);
+            }
+
+            // Convert to Smart Object FIRST (using UXP batchPlay API)
+            console.log(`${logPrefix} 🔧 Converting to Smart Object...`);
+            const smartObjectDesc = {
+                _obj: "newPlacedLayer"
+            };
+            await action.batchPlay([smartObjectDesc], {});
+            console.log(`${logPrefix} ✅ Layer converted to Smart Object`);
+
+            // Get fresh reference to the layer (Smart Object conversion creates a new layer)
+            const smartLayer = targetDoc.activeLayers[0];
+            placedLayer = smartLayer;
+            console.log(`${logPrefix} 🔄 Got fresh layer reference after Smart Object conversion`);
+
+            // Get original layer bounds
+            const { left, top, right, bottom } = getLayerBounds(smartLayer);
+
+            // Scale from the image's true (cropped) size: the layer bounds shrink
+            // when the result has transparent edges
+            const cropRect = options.cropRect || { left: 0, top: 0, right: 1, bottom: 1 };
+            const initW = Math.round(cropRect.right * dimensions.width) - Math.round(cropRect.left * dimensions.width) || (right - left);
+            const initH = Math.round(cropRect.bottom * dimensions.height) - Math.round(cropRect.top * dimensions.height) || (bottom - top);
+            console.log(`${logPrefix} 📏 Original layer size: ${initW} x ${initH} (layer bounds ${right - left} x ${bottom - top})`);
+            console.log(`${logPrefix} 📍 Original layer position: left=${left}, top=${top}`);
+
+            // Calculate target dimensions
+            const selW = targetBounds.right - targetBounds.left;
+            const selH = targetBounds.bottom - targetBounds.top;
+            const targetCenterX = targetBounds.left + selW / 2;
+            const targetCenterY = targetBounds.top + selH / 2;
+            console.log(`${logPrefix} 🎯 Target selection size: ${selW} x ${selH}`);
+            console.log(`${logPrefix} 🎯 Target center: (${targetCenterX}, ${targetCenterY})`);
+
+            // Calculate scale to match selection size (preserving aspect ratio)
+            const scaleX = (selW / initW) * 100;
+            const scaleY = (selH / initH) * 100;
+            
+            console.log(`${logPrefix} 📐 Scale factors: X=${scaleX.toFixed(2)}%, Y=${scaleY.toFixed(2)}%`);
+
+            // Apply scale transformation
+            const transformDesc = {
+                _obj: "transform",
+                _target: [{ _ref: "layer", _enum: "ordinal", _value: "targetEnum" }],
+                freeTransform: true,
+                width: { _unit: "percentUnit", _value: scaleX },
+                height: { _unit: "percentUnit", _value: scaleY }
+            };
+
+            await action.batchPlay([transformDesc], {});
+            console.log(`${logPrefix} 🔧 Scale transform executed.`);
+
+            // Calculate position offset and translate
+            // Get the layer bounds after scaling
+            const scaledBounds = getLayerBounds(smartLayer);
+            const scaledCenterX = scaledBounds.left + (scaledBounds.right - scaledBounds.left) / 2;
+            const scaledCenterY = scaledBounds.top + (scaledBounds.bottom - scaledBounds.top) / 2;
+            
+            console.log(`${logPrefix} 📍 Scaled layer center: (${scaledCenterX.toFixed(2)}, ${scaledCenterY.toFixed(2)})`);
+            console.log(`${logPrefix} 🎯 Target center: (${targetCenterX.toFixed(2)}, ${targetCenterY.toFixed(2)})`);
+            
+            // Calculate offset needed to move to target position
+            const offsetX = targetCenterX - scaledCenterX;
+            const offsetY = targetCenterY - scaledCenterY;
+            
+            console.log(`${logPrefix} ➡️ Translation offset: X=${offsetX.toFixed(2)}px, Y=${offsetY.toFixed(2)}px`);
+            
+            // Translate the layer to the target position
+            if (offsetX !== 0 || offsetY !== 0) {
+                await smartLayer.translate(offsetX, offsetY);
+                console.log(`${logPrefix} 🔧 Layer translated to target position.`);
+            } else {
+                console.log(`${logPrefix} ℹ️ No translation needed, layer already at target position.`);
+            }
+
+            // Verify final bounds and position
+            const finalBounds = getLayerBounds(smartLayer);
+            const finalW = finalBounds.right - finalBounds.left;
+            const finalH = finalBounds.bottom - finalBounds.top;
+            const finalCenterX = finalBounds.left + finalW / 2;
+            const finalCenterY = finalBounds.top + finalH / 2;
+
+            console.log(`${logPrefix} ✅ Final layer bounds:`, finalBounds);
+            console.log(`${logPrefix} ✅ Final size: ${finalW.toFixed(1)} x ${finalH.toFixed(1)}`);
+            console.log(`${logPrefix} ✅ Final center: (${finalCenterX.toFixed(1)}, ${finalCenterY.toFixed(1)})`);
+            console.log(`${logPrefix} ✅ Expected size: ${selW} x ${selH}`);
+
+            // Bring layer to front
+            await smartLayer.bringToFront();
+            console.log(`${logPrefix} ⬆️ Layer brought to front`);
+
+            // Clip the result to the original selection shape
+            if (options.selectionMask) {
+                console.log(`${logPrefix} 🎭 Masking layer to original selection (feather: ${options.featherRadius || 0}px)...`);
+                await applySelectionMaskToLayer(targetDoc, smartLayer, options.selectionMask, targetBounds, options.featherRadius || 0);
+            }
+
+            // Colour matching is cosmetic: a failure must not lose the placed result
+            if (options.colorMatch) {
+                try {
+                    await applyToneMatch(targetDoc, smartLayer, targetBounds, options.colorMatch, options.selectionMask);
+                } catch (e) {
+                    console.warn(`${logPrefix} ⚠️ Colour match failed:`, e.message);
+                }
+            }
+
+        }, { commandName: "Add and Transform Generated Image" });
+
+        console.log(`${logPrefix} ✅ Image added and transformed successfully.`);
+        return placedLayer;
+
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error:`, error);
+        if (tempDoc) {
+            try {
+                await tempDoc.closeWithoutSaving();
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not close temp document:`, e.message);
+            }
+        }
+        throw error;
+
+    } finally {
+        if (tempFile) {
+            try {
+                await new Promise(resolve => setTimeout(resolve, 500));
+                await tempFile.delete();
+                console.log(`${logPrefix} 🧹 Temp file cleaned up.`);
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not delete temp file: ${e.message}`);
+            }
+        }
+    }
+}
+// --- API endpoint helpers ---
+
+// Base URL of the OpenAI-compatible API, without a trailing slash
+function getApiBaseUrl() {
+    const configured = document.getElementById('setting-api-base-url')?.value?.trim();
+    return (configured || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+// True when requests go somewhere other than the public OpenRouter API
+function isCustomEndpoint() {
+    return getApiBaseUrl() !== DEFAULT_API_BASE_URL;
+}
+
+/**
+ * Builds request headers with the configured auth header. The header value
+ * template's {key} placeholder is replaced by the API key; no auth header is
+ * sent when the key is empty (e.g. a local server without authentication).
+ */
+function buildApiHeaders(apiKey, extraHeaders = {}) {
+    const headers = { ...extraHeaders };
+    const headerName = document.getElementById('setting-auth-header-name')?.value?.trim() || DEFAULT_AUTH_HEADER_NAME;
+    const headerValue = document.getElementById('setting-auth-header-value')?.value?.trim() || DEFAULT_AUTH_HEADER_VALUE;
+
+    if (apiKey) {
+        headers[headerName] = headerValue.replace('{key}', apiKey);
+    }
+    return headers;
+}
+
+// --- Cancellation & timeouts ---
+
+// In-flight requests by kind ('job-<id>' for queued jobs)
+const activeRequests = {};
+
+function getRequestTimeoutSeconds() {
+    const seconds = parseInt(document.getElementById('setting-request-timeout')?.value, 10);
+    return seconds > 0 ? seconds : 120;
+}
+
+/**
+ * Registers a cancellable request. The returned handle carries the
+ * AbortController that is aborted when the user cancels; each API call made
+ * for it gets its own timeout from withCallTimeout().
+ * @param {string} kind - one request per kind can be active at a time
+ * @param {Function} onCancel - restores the UI immediately when the user cancels
+ */
+function startCancellableRequest(kind, onCancel) {
+    const handle = {
+        kind,
+        controller: new AbortController(),
+        cancelled: false,
+        timedOut: false,
+        onCancel
+    };
+    activeRequests[kind] = handle;
+    return handle;
+}
+
+/**
+ * Runs one API call of a request with its own AbortController: aborted when
+ * the request is cancelled, or when this call alone runs past the configured
+ * timeout, which also marks the whole request as timed out.
+ * @param {(signal: AbortSignal) => Promise<*>} fn - receives the signal for fetch()
+ */
+async function withCallTimeout(handle, fn) {
+    const controller = new AbortController();
+    const abortCall = () => controller.abort();
+    handle.controller.signal.addEventListener('abort', abortCall);
+    const timer = setTimeout(() => {
+        console.warn(`[${handle.kind}] ⏱️ Request timed out after ${getRequestTimeoutSeconds()}s`);
+        handle.timedOut = true;
+        controller.abort();
+    }, getRequestTimeoutSeconds() * 1000);
+
+    try {
+        return await fn(controller.signal);
+    } finally {
+        clearTimeout(timer);
+        handle.controller.signal.removeEventListener('abort', abortCall);
+    }
+}
+
+function finishRequest(handle) {
+    // Requests the handle reserved budget for but never sent
+    releaseUnsentBudget(handle.budgetReservation);
+    if (activeRequests[handle.kind] === handle) {
+        delete activeRequests[handle.kind];
+    }
+}
+
+function cancelRequest(kind) {
+    const handle = activeRequests[kind];
+    if (!handle) return;
+
+    console.log(`[${kind}] ⏹️ Cancelled by user`);
+    handle.cancelled = true;
+    handle.controller.abort();
+    finishRequest(handle);
+    if (handle.onCancel) handle.onCancel();
+}
+
+/**
+ * Stops a cancelled or timed-out job before it touches the document, even
+ * when its response arrives after the abort.
+ */
+function throwIfCancelled(handle) {
+    if (handle.cancelled || handle.timedOut) {
+        throw new Error(handle.cancelled
+            ? 'Generation cancelled'
+            : `Request timed out after ${getRequestTimeoutSeconds()}s`);
+    }
+}
+
+// Message shown for an error thrown while a request was cancelled or timed out
+function describeRequestError(handle, error) {
+    if (handle.timedOut) return `⏱️ Request timed out after ${getRequestTimeoutSeconds()}s`;
+    return `❌ Error: ${error.message}`;
+}
+
+// --- Job queue ---
+
+const JOB_STATUS_LABELS = {
+    queued: '🕒 Queued',
+    waiting: '🕒 Waiting for a request slot',
+    running: '⏳ Running',
+    done: '✅ Done',
+    failed: '❌ Failed',
+    cancelled: '⏹️ Cancelled'
+};
+
+// Cancel button on each Generate card, shown while that card has jobs pending
+const JOB_CANCEL_BUTTONS = {
+    t2i: 'cancel-t2i-btn',
+    inpaint: 'cancel-img2img-btn',
+    outpaint: 'cancel-outpaint-btn',
+    regenerate: 'cancel-regenerate-btn'
+};
+
+// ✨ buttons turn into ⏹ while an optimization for their prompt is pending
+const OPTIMIZE_BUTTONS = {
+    'prompt': 'optimize-prompt-btn',
+    'prompt-img2img': 'optimize-prompt-img2img-btn'
+};
+
+let jobQueue = [];
+let nextJobId = 1;
+
+// API calls currently holding a slot, and jobs waiting for one
+let activeNetworkSteps = 0;
+let networkStepWaiters = [];
+
+// Tail of the chain every document-touching step runs on, one at a time
+let documentStepChain = Promise.resolve();
+
+function getQueueConcurrency() {
+    const concurrency = parseInt(document.getElementById('setting-queue-concurrency')?.value, 10);
+    return Math.min(4, Math.max(1, concurrency || 1));
+}
+
+function isJobActive(job) {
+    return job.status === 'queued' || job.status === 'waiting' || job.status === 'running';
+}
+
+/**
+ * Adds a job to the queue. Everything the job needs must already be captured
+ * in the `run` closure, so later changes to the document or the inputs don't
+ * affect it.
+ * @param {{kind: string, label: string, statusId?: string, target?: string, run: (request: Object, report: (message: string) => void) => Promise<void>}} spec
+ *   `run` receives the cancellable request handle and a callback for progress messages
+ */
+function enqueueJob(spec) {
+    const job = { ...spec, id: nextJobId++, status: 'queued', message: '', request: null };
+    jobQueue.push(job);
+    console.log(`[enqueueJob] ➕ Job #${job.id} (${job.kind}) queued`);
+    renderQueue();
+    processQueue();
+    return job;
+}
+
+// Starts queued jobs in order. Jobs run side by side: the concurrency setting
+// limits their API calls (runNetworkStep), while their Photoshop steps always
+// take turns (runDocumentStep)
+function processQueue() {
+    for (const job of jobQueue) {
+        if (job.status === 'queued') runJob(job);
+    }
+    // A higher limit may let waiting API calls start
+    wakeNetworkStepWaiters();
+}
+
+function wakeNetworkStepWaiters() {
+    const waiters = networkStepWaiters;
+    networkStepWaiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Runs a job's API call once fewer than "API Requests at Once" calls are in
+ * flight; the job shows as waiting until then. The timeout only starts when
+ * the call is sent. A job cancelled while waiting throws without calling the API.
+ * @param {(signal: AbortSignal) => Promise<*>} fn - receives the signal for fetch()
+ */
+async function runNetworkStep(request, fn) {
+    while (activeNetworkSteps >= getQueueConcurrency()) {
+        throwIfCancelled(request);
+        if (request.onWaiting) request.onWaiting(true);
+        await new Promise(resolve => networkStepWaiters.push(resolve));
+    }
+    if (request.onWaiting) request.onWaiting(false);
+    throwIfCancelled(request);
+
+    activeNetworkSteps++;
+    try {
+        return await withCallTimeout(request, fn);
+    } finally {
+        activeNetworkSteps--;
+        wakeNetworkStepWaiters();
+    }
+}
+
+/**
+ * Runs a step that reads or changes a document after every earlier document
+ * step has finished, so placements from parallel jobs never interleave their
+ * modal scopes. Steps must not call runDocumentStep themselves.
+ * @param {Object|null} request - skip the step when this job was cancelled meanwhile;
+ *   null for steps that must always run (user actions, clean-up)
+ */
+function runDocumentStep(request, fn) {
+    const step = documentStepChain.then(() => {
+        if (request) throwIfCancelled(request);
+        return fn();
+    });
+    documentStepChain = step.catch(() => {});
+    return step;
+}
+
+async function runJob(job) {
+    const logPrefix = `[job #${job.id}]`;
+    job.status = 'running';
+    job.message = '';
+    const request = startCancellableRequest(`job-${job.id}`, () => {
+        job.status = 'cancelled';
+        reportJobProgress(job, '⏹️ Cancelled');
+    });
+    // Waiting for a request slot shows as its own status
+    request.onWaiting = (waiting) => {
+        if (!isJobActive(job) || job.status === (waiting ? 'waiting' : 'running')) return;
+        job.status = waiting ? 'waiting' : 'running';
+        renderQueue();
+    };
+    job.request = request;
+
+    try {
+        await job.run(request, (message) => {
+            if (!request.cancelled) reportJobProgress(job, message);
+        });
+        throwIfCancelled(request);
+        job.status = 'done';
+    } catch (error) {
+        if (request.cancelled) {
+            console.log(`${logPrefix} ⏹️ Cancelled, discarding result`);
+        } else {
+            console.error(`${logPrefix} ❌ Error:`, error);
+            job.status = 'failed';
+            reportJobProgress(job, describeRequestError(request, error));
+        }
+    } finally {
+        finishRequest(request);
+        job.request = null;
+        renderQueue();
+        processQueue();
+    }
+}
+
+// Shows a job's progress in the Queue panel and in its card's status line
+function reportJobProgress(job, message) {
+    job.message = message;
+    const statusDiv = job.statusId ? document.getElementById(job.statusId) : null;
+    if (statusDiv) statusDiv.textContent = `#${job.id}: ${message}`;
+    renderQueue();
+}
+
+function cancelJob(jobId) {
+    const job = jobQueue.find(j => j.id === jobId);
+    if (!job || !isJobActive(job)) return;
+
+    if (job.status === 'running' || job.status === 'waiting') {
+        cancelRequest(`job-${job.id}`);
+        // Let it stop waiting for a request slot
+        wakeNetworkStepWaiters();
+    } else {
+        job.status = 'cancelled';
+        reportJobProgress(job, '⏹️ Cancelled');
+    }
+}
+
+function cancelJobsOfKind(kind) {
+    jobQueue.filter(job => job.kind === kind && isJobActive(job)).forEach(job => cancelJob(job.id));
+}
+
+// Runs a failed or cancelled job again with the inputs captured when it was queued
+function retryJob(jobId) {
+    const job = jobQueue.find(j => j.id === jobId);
+    if (!job || isJobActive(job)) return;
+
+    job.status = 'queued';
+    job.message = '';
+    renderQueue();
+    processQueue();
+}
+
+function removeJob(jobId) {
+    cancelJob(jobId);
+    jobQueue = jobQueue.filter(job => job.id !== jobId);
+    renderQueue();
+}
+
+function clearFinishedJobs() {
+    jobQueue = jobQueue.filter(isJobActive);
+    renderQueue();
+}
+
+function renderQueue() {
+    // Per-card Cancel buttons and the tab badge follow the queue
+    for (const [kind, buttonId] of Object.entries(JOB_CANCEL_BUTTONS)) {
+        const cancelButton = document.getElementById(buttonId);
+        if (cancelButton) cancelButton.style.display = jobQueue.some(job => job.kind === kind && isJobActive(job)) ? 'flex' : 'none';
+    }
+    for (const [target, buttonId] of Object.entries(OPTIMIZE_BUTTONS)) {
+        const optimizeBtn = document.getElementById(buttonId);
+        if (!optimizeBtn) continue;
+        const pending = jobQueue.some(job => job.kind === 'optimize' && job.target === target && isJobActive(job));
+        optimizeBtn.textContent = pending ? '⏹' : '✨';
+        optimizeBtn.title = pending ? 'Cancel Optimization' : 'Optimize Prompt';
+    }
+    const activeCount = jobQueue.filter(isJobActive).length;
+    const badge = document.getElementById('queue-tab-count');
+    if (badge) badge.textContent = activeCount ? `(${activeCount})` : '';
+
+    const listDiv = document.getElementById('queue-list');
+    const statusDiv = document.getElementById('status-queue');
+    if (!listDiv) return;
+
+    listDiv.innerHTML = '';
+    if (statusDiv) {
+        statusDiv.textContent = jobQueue.length
+            ? `${activeCount} active, ${jobQueue.length - activeCount} finished`
+            : 'No jobs queued.';
+    }
+
+    for (const job of jobQueue) {
+        const item = document.createElement('div');
+        item.className = 'queue-item';
+
+        const title = document.createElement('div');
+        title.className = 'history-prompt';
+        title.textContent = `#${job.id} ${job.label.length > 80 ? `${job.label.slice(0, 80)}…` : job.label}`;
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = job.message ? `${JOB_STATUS_LABELS[job.status]} · ${job.message}` : JOB_STATUS_LABELS[job.status];
+        item.appendChild(title);
+        item.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const buttons = isJobActive(job)
+            ? [['Cancel', () => cancelJob(job.id)]]
+            : [['Retry', () => retryJob(job.id)], ['Remove', () => removeJob(job.id)]];
+        for (const [label, handler] of buttons) {
+            const btn = document.createElement('button');
+            btn.className = 'tertiary-btn';
+            btn.textContent = label;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        }
+        item.appendChild(actions);
+        listDiv.appendChild(item);
+    }
+}
+
+/**
+ * Returns the open document a job was queued for, or the active document when
+ * no ID is given.
+ */
+function resolveTargetDocument(documentID) {
+    if (documentID === undefined || documentID === null) {
+        if (!app.activeDocument) throw new Error('No active document found. Please open a document in Photoshop first.');
+        return app.activeDocument;
+    }
+    const doc = Array.from(app.documents).find(d => d.id === documentID);
+    if (!doc) throw new Error('The document this job was queued for is no longer open.');
+    return doc;
+}
+
+// --- Cost tracking & budget ---
+
+const COST_LEDGER_STORAGE_KEY = 'costLedger';
+const COST_LEDGER_MAX_AGE_DAYS = 400;
+const SESSION_STARTED_AT = Date.now();
+
+/**
+ * Asks OpenRouter to include the request cost in the response `usage`.
+ * Custom endpoints get the body unchanged, as strict servers may reject
+ * unknown fields.
+ */
+function withUsageAccounting(requestBody) {
+    if (isCustomEndpoint()) return requestBody;
+    return { ...requestBody, usage: { include: true } };
+}
+
+function loadCostLedger() {
+    try {
+        const ledger = JSON.parse(localStorage.getItem(COST_LEDGER_STORAGE_KEY) || '[]');
+        return Array.isArray(ledger) ? ledger : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCostLedger(ledger) {
+    const cutoff = Date.now() - COST_LEDGER_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    localStorage.setItem(COST_LEDGER_STORAGE_KEY, JSON.stringify(ledger.filter(entry => entry.timestamp >= cutoff)));
+}
+
+// Looks up the cost of a finished generation; stats can lag a moment behind the response
+async function lookupGenerationCost(generationId, apiKey) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        try {
+            const response = await fetch(`${getApiBaseUrl()}/generation?id=${encodeURIComponent(generationId)}`, {
+                headers: buildApiHeaders(apiKey)
+            });
+            if (response.ok) {
+                const data = await response.json();
+                if (typeof data.data?.total_cost === 'number') return data.data.total_cost;
+            }
+        } catch (e) {
+            console.warn('[lookupGenerationCost] ⚠️ Lookup failed:', e.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * Adds the cost of a completion to the local ledger. Uses `usage.cost` from
+ * the response, falling back to the /generation lookup. Runs in the background
+ * and never throws.
+ */
+async function recordUsageCost(data, kind, model, apiKey, reservation = null) {
+    try {
+        let cost = data.usage?.cost;
+        if (typeof cost !== 'number' && data.id && !isCustomEndpoint()) {
+            cost = await lookupGenerationCost(data.id, apiKey);
+        }
+        if (typeof cost !== 'number') {
+            console.log(`[recordUsageCost] ℹ️ No cost reported for ${model}`);
+            return;
+        }
+
+        const ledger = loadCostLedger();
+        ledger.push({ id: data.id || null, timestamp: Date.now(), kind, model, cost });
+        saveCostLedger(ledger);
+        console.log(`[recordUsageCost] 💰 ${kind} with ${model}: $${cost.toFixed(4)}`);
+        renderSpendingSummary();
+    } catch (error) {
+        console.warn('[recordUsageCost] ⚠️ Could not record cost:', error.message);
+    } finally {
+        // The real cost (or the lack of one) replaces the estimate
+        settleBudgetRequest(reservation);
+    }
+}
+
+function getSpendingTotals() {
+    const now = new Date();
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+
+    const totals = { session: 0, today: 0, month: 0 };
+    for (const entry of loadCostLedger()) {
+        if (entry.timestamp >= SESSION_STARTED_AT) totals.session += entry.cost;
+        if (entry.timestamp >= startOfDay) totals.today += entry.cost;
+        if (entry.timestamp >= startOfMonth) totals.month += entry.cost;
+    }
+    return totals;
+}
+
+function renderSpendingSummary() {
+    const totals = getSpendingTotals();
+    const format = value => `$${value.toFixed(4)}`;
+    const sessionSpan = document.getElementById('spend-session');
+    const todaySpan = document.getElementById('spend-today');
+    const monthSpan = document.getElementById('spend-month');
+    if (sessionSpan) sessionSpan.textContent = format(totals.session);
+    if (todaySpan) todaySpan.textContent = format(totals.today);
+    if (monthSpan) monthSpan.textContent = format(totals.month);
+}
+
+// Token counts assumed for a cost estimate from catalogue prices: a prompt with
+// an input image, and one generated image
+const BUDGET_ESTIMATE_PROMPT_TOKENS = 1500;
+const BUDGET_ESTIMATE_COMPLETION_TOKENS = 1500;
+
+// Per-request estimate for a model with neither a recorded cost nor catalogue prices
+const BUDGET_DEFAULT_REQUEST_COST = 0.1;
+
+/**
+ * Estimated cost of one request: the last recorded cost of the same model,
+ * else a figure from its catalogue prices, else BUDGET_DEFAULT_REQUEST_COST.
+ */
+function estimateRequestCost(model) {
+    const lastEntry = loadCostLedger().reverse().find(entry => entry.model === model);
+    if (lastEntry) return lastEntry.cost;
+
+    const pricing = getCachedModelCatalogue()?.models.find(m => m.id === model)?.pricing;
+    if (pricing) {
+        const price = key => parseFloat(pricing[key]) || 0;
+        const estimate = price('request') + price('image')
+            + price('prompt') * BUDGET_ESTIMATE_PROMPT_TOKENS
+            + price('completion') * BUDGET_ESTIMATE_COMPLETION_TOKENS;
+        if (estimate > 0) return estimate;
+    }
+    return BUDGET_DEFAULT_REQUEST_COST;
+}
+
+// Estimates of requests that passed the budget check but whose cost isn't in the ledger yet
+const budgetReservations = new Set();
+
+function getReservedSpending() {
+    let reserved = 0;
+    for (const reservation of budgetReservations) reserved += reservation.estimate * reservation.outstanding;
+    return reserved;
+}
+
+// Called as a reserved request is sent
+function markBudgetRequestSent(reservation) {
+    if (reservation && reservation.unsent > 0) reservation.unsent--;
+}
+
+// Drops one sent request's estimate once its cost is recorded or it failed
+function settleBudgetRequest(reservation) {
+    if (!reservation || reservation.outstanding <= 0) return;
+    reservation.outstanding--;
+    if (reservation.outstanding === 0) budgetReservations.delete(reservation);
+}
+
+// Drops the estimates of requests a job reserved but never sent
+function releaseUnsentBudget(reservation) {
+    if (!reservation) return;
+    reservation.outstanding -= reservation.unsent;
+    reservation.unsent = 0;
+    if (reservation.outstanding <= 0) budgetReservations.delete(reservation);
+}
+
+/**
+ * Blocks a request that would push spending past the daily or monthly budget.
+ * The cost of the request is estimated by estimateRequestCost(); requests that
+ * passed the check before and are still in flight count with their estimate.
+ * @returns {Object|null} the reservation for these requests, to pass to the
+ *   request helpers; null when no cap is set
+ * @throws {Error} when a budget cap would be exceeded
+ */
+function assertWithinBudget(model, requestCount = 1) {
+    const dailyCap = parseFloat(document.getElementById('setting-budget-daily')?.value) || 0;
+    const monthlyCap = parseFloat(document.getElementById('setting-budget-monthly')?.value) || 0;
+    if (dailyCap <= 0 && monthlyCap <= 0) return null;
+
+    const perRequest = estimateRequestCost(model);
+    const estimate = perRequest * requestCount;
+    const totals = getSpendingTotals();
+    const reserved = getReservedSpending();
+    const inFlight = reserved > 0 ? `, $${reserved.toFixed(2)} for requests in flight` : '';
+
+    if (dailyCap > 0 && totals.today + reserved + estimate > dailyCap) {
+        throw new Error(`Daily budget of $${dailyCap.toFixed(2)} reached ($${totals.today.toFixed(2)} spent today${inFlight}, this request ≈ $${estimate.toFixed(2)}). Raise the cap in Settings to continue.`);
+    }
+    if (monthlyCap > 0 && totals.month + reserved + estimate > monthlyCap) {
+        throw new Error(`Monthly budget of $${monthlyCap.toFixed(2)} reached ($${totals.month.toFixed(2)} spent this month${inFlight}, this request ≈ $${estimate.toFixed(2)}). Raise the cap in Settings to continue.`);
+    }
+
+    const reservation = { estimate: perRequest, unsent: requestCount, outstanding: requestCount };
+    budgetReservations.add(reservation);
+    return reservation;
+}
+
+// --- Response parsing & request helpers ---
+
+/**
+ * Collects every image returned in a chat completion response. Models return
+ * images in message.images, as image_url parts of the content array or as a
+ * bare data URL string.
+ * @returns {string[]} image data URLs (may be empty)
+ */
+function extractImageUrlsFromResponse(data, logPrefix) {
+    if (!data.choices || !data.choices.length) {
+        console.error(`${logPrefix} ❌ Invalid response structure`);
+        console.error(`${logPrefix} Full response:`, JSON.stringify(data, null, 2));
+        throw new Error('Invalid API response format: missing choices or message');
+    }
+
+    const imageUrls = [];
+    for (const choice of data.choices) {
+        const message = choice.message;
+        if (!message) continue;
+        console.log(`${logPrefix} 📨 Message received:`, message);
+
+        if (Array.isArray(message.images)) {
+            for (const image of message.images) {
+                if (image.image_url && image.image_url.url) imageUrls.push(image.image_url.url);
+            }
+        }
+        if (Array.isArray(message.content)) {
+            for (const item of message.content) {
+                if (item.type === 'image_url' && item.image_url && item.image_url.url) {
+                    imageUrls.push(item.image_url.url);
+                }
+            }
+        } else if (typeof message.content === 'string' && message.content.startsWith('data:image')) {
+            imageUrls.push(message.content);
+        }
+    }
+
+    console.log(`${logPrefix} 🖼️ Extracted ${imageUrls.length} image(s) from response`);
+    return imageUrls;
+}
+
+/**
+ * Sends one image generation request and returns all images in the response.
+ * @param {Object|null} [reservation] - from assertWithinBudget(), settled when the cost is known
+ * @returns {Promise<{imageUrls: string[], generation: {id: string|null, cost: number|null}}>}
+ *   cost is null when the response doesn't include it (it may still reach the ledger later)
+ * @throws {Error} on HTTP errors or when the response holds no image
+ */
+async function requestImageCompletion(apiKey, requestBody, logPrefix, signal, kind = 'image', reservation = null) {
+    markBudgetRequestSent(reservation);
+    let data;
+    try {
+        const response = await fetch(`${getApiBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers: buildApiHeaders(apiKey, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(withUsageAccounting(requestBody)),
+            signal
+        });
+
+        console.log(`${logPrefix} 📥 Response received:`, {
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok
+        });
+
+        if (!response.ok) {
+            console.error(`${logPrefix} ❌ API request failed with status:`, response.status);
+            const errorData = await response.json().catch(() => ({}));
+            console.error(`${logPrefix} ❌ Error data:`, errorData);
+            const errorMessage = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
+            throw new Error(`API Error: ${errorMessage}`);
+        }
+
+        data = await response.json();
+    } catch (error) {
+        // No cost will reach the ledger for this one
+        settleBudgetRequest(reservation);
+        throw error;
+    }
+    console.log(`${logPrefix} 📦 Response data:`, data);
+
+    // Paid for even if the job is cancelled afterwards, so always record it
+    recordUsageCost(data, kind, requestBody.model, apiKey, reservation);
+
+    const imageUrls = extractImageUrlsFromResponse(data, logPrefix);
+    if (!imageUrls.length) {
+        console.error(`${logPrefix} ❌ No image URL found in response`);
+        console.error(`${logPrefix} Full response:`, JSON.stringify(data, null, 2));
+        throw new Error('No image data found in API response. Check console for details.');
+    }
+    return {
+        imageUrls,
+        generation: { id: data.id || null, cost: typeof data.usage?.cost === 'number' ? data.usage.cost : null }
+    };
+}
+
+/**
+ * Fires `count` parallel generation requests and pools every image they return.
+ * Fails only when every request fails.
+ * @returns {Promise<{imageUrls: string[], seeds: Array<number|null>, generations: Object[]}>}
+ *   seeds[i] and generations[i] belong to imageUrls[i]
+ */
+async function requestImageVariations(apiKey, requestBody, count, logPrefix, signal, kind = 'image', reservation = null) {
+    // With a seed, variation i uses seed + i so the candidates differ but each can be reproduced
+    const seedFor = index => typeof requestBody.seed === 'number' ? requestBody.seed + index : null;
+    const results = await Promise.allSettled(
+        Array.from({ length: count }, (_, index) => requestImageCompletion(
+            apiKey,
+            seedFor(index) === null ? requestBody : { ...requestBody, seed: seedFor(index) },
+            logPrefix, signal, kind, reservation
+        ))
+    );
+
+    const imageUrls = [];
+    const seeds = [];
+    const generations = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            imageUrls.push(...result.value.imageUrls);
+            seeds.push(...result.value.imageUrls.map(() => seedFor(index)));
+            generations.push(...result.value.imageUrls.map(() => result.value.generation));
+        } else {
+            console.warn(`${logPrefix} ⚠️ Variation request failed:`, result.reason?.message);
+        }
+    });
+
+    if (!imageUrls.length) {
+        throw results[0].reason;
+    }
+    return { imageUrls, seeds, generations };
+}
+
+// Reads a "Variations" dropdown, clamped to 1-8
+function getVariationCount(selectId) {
+    const count = parseInt(document.getElementById(selectId)?.value, 10) || 1;
+    return Math.min(Math.max(count, 1), 8);
+}
+
+// --- Advanced generation parameters ---
+
+const ADVANCED_PARAMS_STORAGE_KEY = 'advancedParams';
+
+// Fields the plugin builds itself; the JSON passthrough may not replace them
+const RESERVED_REQUEST_FIELDS = ['model', 'messages', 'modalities', 'stream'];
+
+// Advanced inputs and the key each is remembered under per model
+const ADVANCED_PARAM_INPUTS = {
+    seed: 'advanced-seed',
+    temperature: 'advanced-temperature',
+    negativePrompt: 'advanced-negative-prompt',
+    extraJson: 'advanced-extra-json'
+};
+
+function getCurrentImageModel() {
+    return document.getElementById('setting-image-model')?.value?.trim() || 'google/gemini-2.5-flash-image';
+}
+
+/**
+ * Reads and validates the Advanced inputs.
+ * @returns {{seed: number|null, temperature: number|null, negativePrompt: string, extra: Object|null}}
+ * @throws {Error} when a value is out of range or the JSON passthrough is invalid
+ */
+function readAdvancedParams() {
+    const rawSeed = document.getElementById('advanced-seed')?.value?.trim() || '';
+    const rawTemperature = document.getElementById('advanced-temperature')?.value?.trim() || '';
+    const negativePrompt = document.getElementById('advanced-negative-prompt')?.value?.trim() || '';
+    const rawExtra = document.getElementById('advanced-extra-json')?.value?.trim() || '';
+
+    const seed = rawSeed === '' ? null : Number(rawSeed);
+    if (seed !== null && (!Number.isInteger(seed) || seed < 0)) {
+        throw new Error('Seed must be a whole number of 0 or more');
+    }
+
+    const temperature = rawTemperature === '' ? null : Number(rawTemperature);
+    if (temperature !== null && (!Number.isFinite(temperature) || temperature < 0 || temperature > 2)) {
+        throw new Error('Temperature must be between 0 and 2');
+    }
+
+    let extra = null;
+    if (rawExtra) {
+        try {
+            extra = JSON.parse(rawExtra);
+        } catch (e) {
+            throw new Error(`Extra request fields are not valid JSON (${e.message})`);
+        }
+        if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+            throw new Error('Extra request fields must be a JSON object');
+        }
+        const reserved = Object.keys(extra).filter(key => RESERVED_REQUEST_FIELDS.includes(key));
+        if (reserved.length) {
+            throw new Error(`Extra request fields can't override ${reserved.join(', ')}`);
+        }
+    }
+
+    return { seed, temperature, negativePrompt, extra };
+}
+
+/**
+ * Returns a copy of the request body with the advanced parameters applied.
+ * The negative prompt is appended to the prompt text, since chat completions
+ * have no dedicated field for it; image_config from the passthrough is merged
+ * with the one the plugin sets.
+ */
+function applyAdvancedParams(requestBody, params) {
+    const body = { ...requestBody };
+    if (params.seed !== null) body.seed = params.seed;
+    if (params.temperature !== null) body.temperature = params.temperature;
+
+    if (params.negativePrompt) {
+        const avoid = `\n\nAvoid: ${params.negativePrompt}`;
+        body.messages = body.messages.map((message, index) => {
+            if (index !== body.messages.length - 1) return message;
+            if (typeof message.content === 'string') return { ...message, content: message.content + avoid };
+            let appended = false;
+            const content = message.content.map(part => {
+                if (appended || part.type !== 'text') return part;
+                appended = true;
+                return { ...part, text: part.text + avoid };
+            });
+            return { ...message, content };
+        });
+    }
+
+    if (params.extra) {
+        const { image_config: extraImageConfig, ...rest } = params.extra;
+        Object.assign(body, rest);
+        if (extraImageConfig && typeof extraImageConfig === 'object') {
+            body.image_config = { ...(body.image_config || {}), ...extraImageConfig };
+        }
+    }
+    return body;
+}
+
+// Short summary for history entries, e.g. "seed 42 · temp 0.7 · avoid: blurry"
+function formatAdvancedParams(params) {
+    if (!params) return '';
+    const parts = [];
+    if (params.seed !== null && params.seed !== undefined) parts.push(`seed ${params.seed}`);
+    if (params.temperature !== null && params.temperature !== undefined) parts.push(`temp ${params.temperature}`);
+    if (params.negativePrompt) parts.push(`avoid: ${params.negativePrompt.length > 30 ? `${params.negativePrompt.slice(0, 30)}…` : params.negativePrompt}`);
+    if (params.extra) parts.push(`+${Object.keys(params.extra).length} extra field(s)`);
+    return parts.join(' · ');
+}
+
+function loadAdvancedParamsStore() {
+    try {
+        return JSON.parse(localStorage.getItem(ADVANCED_PARAMS_STORAGE_KEY) || '{}') || {};
+    } catch (e) {
+        console.warn('[loadAdvancedParamsStore] ⚠️ Invalid stored parameters, ignoring:', e.message);
+        return {};
+    }
+}
+
+// Remembers the Advanced inputs as typed for the current image model
+function saveAdvancedParamsForModel() {
+    const store = loadAdvancedParamsStore();
+    const values = {};
+    for (const [key, inputId] of Object.entries(ADVANCED_PARAM_INPUTS)) {
+        values[key] = document.getElementById(inputId)?.value || '';
+    }
+    store[getCurrentImageModel()] = values;
+    localStorage.setItem(ADVANCED_PARAMS_STORAGE_KEY, JSON.stringify(store));
+    validateAdvancedParams();
+}
+
+// Fills the Advanced inputs with the last values used with the current image model
+function loadAdvancedParamsForModel() {
+    const model = getCurrentImageModel();
+    const values = loadAdvancedParamsStore()[model] || {};
+    for (const [key, inputId] of Object.entries(ADVANCED_PARAM_INPUTS)) {
+        const input = document.getElementById(inputId);
+        if (input) input.value = values[key] || '';
+    }
+    const label = document.getElementById('advanced-model-label');
+    if (label) label.textContent = `Remembered for ${model}`;
+    validateAdvancedParams();
+}
+
+function validateAdvancedParams() {
+    const messageDiv = document.getElementById('advanced-params-message');
+    if (!messageDiv) return;
+    try {
+        readAdvancedParams();
+        messageDiv.textContent = '';
+    } catch (error) {
+        messageDiv.textContent = `⚠️ ${error.message}`;
+    }
+}
+
+/**
+ * Puts the model and parameters recorded with a history entry back into the
+ * image model setting and the Advanced inputs, so the generation can be
+ * repeated. The values are remembered for that model, not the one selected before.
+ */
+function restoreAdvancedParams(params, model) {
+    const modelInput = document.getElementById('setting-image-model');
+    if (model && modelInput && modelInput.value.trim() !== model) {
+        modelInput.value = model;
+        saveSettings();
+        validateModelSettings();
+        loadAdvancedParamsForModel();
+    }
+
+    const values = {
+        seed: params.seed ?? '',
+        temperature: params.temperature ?? '',
+        negativePrompt: params.negativePrompt || '',
+        extraJson: params.extra ? JSON.stringify(params.extra, null, 2) : ''
+    };
+    for (const [key, inputId] of Object.entries(ADVANCED_PARAM_INPUTS)) {
+        const input = document.getElementById(inputId);
+        if (input) input.value = String(values[key]);
+    }
+    saveAdvancedParamsForModel();
+
+    const panel = document.getElementById('advanced-params');
+    const toggleBtn = document.getElementById('advanced-toggle-btn');
+    if (panel) panel.style.display = 'block';
+    if (toggleBtn) toggleBtn.textContent = 'Hide';
+}
+
+// --- Layer metadata ---
+
+// XMP namespace for the generation record stored in each placed layer
+const ROUTERSHOP_XMP_NAMESPACE = 'http://routershop.app/ns/1.0/';
+const DEFAULT_LAYER_NAME_TEMPLATE = '{prompt} · {model} · {time}';
+const LAYER_NAME_PROMPT_LENGTH = 40;
+
+/**
+ * Describes result `index` of a run in the shape stored in history entries
+ * and layer metadata. The seed and generation (ID and cost) are per result,
+ * the rest is shared by the run.
+ * @param {Object} record - the run's history record, with optional seeds[] and generations[]
+ */
+function describeGenerationResult(record, index = 0) {
+    const generation = record.generations?.[index];
+    return {
+        prompt: record.prompt,
+        model: record.model,
+        mode: record.mode,
+        selectionBounds: record.selectionBounds || null,
+        cropRect: record.cropRect || null,
+        aspectRatio: record.aspectRatio || null,
+        maskMode: record.maskMode || null,
+        mask: record.mask || null,
+        documentName: record.documentName || '',
+        params: record.params ? { ...record.params, seed: record.seeds?.[index] ?? record.params.seed } : null,
+        generationId: generation?.id ?? null,
+        cost: generation?.cost ?? null
+    };
+}
+
+/**
+ * Fills the layer name template. Supported placeholders: {prompt} (first
+ * words of the prompt), {model} (model name without the provider), {mode},
+ * {seed}, {date} and {time}.
+ */
+function formatLayerName(result, createdAt = new Date()) {
+    const template = document.getElementById('setting-layer-name-template')?.value?.trim() || DEFAULT_LAYER_NAME_TEMPLATE;
+    const prompt = (result.prompt || '').replace(/\s+/g, ' ').trim();
+    const pad = value => String(value).padStart(2, '0');
+    const values = {
+        prompt: prompt.length > LAYER_NAME_PROMPT_LENGTH ? `${prompt.slice(0, LAYER_NAME_PROMPT_LENGTH).trim()}…` : prompt || '(no prompt)',
+        model: (result.model || '').split('/').pop(),
+        mode: { inpaint: 'Inpaint', outpaint: 'Outpaint' }[result.mode] || 'T2I',
+        seed: result.params?.seed ?? '',
+        date: `${createdAt.getFullYear()}-${pad(createdAt.getMonth() + 1)}-${pad(createdAt.getDate())}`,
+        time: `${pad(createdAt.getHours())}:${pad(createdAt.getMinutes())}`
+    };
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] !== undefined ? String(values[name]) : placeholder);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+    return text.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+}
+
+// Wraps the recipe as JSON in an XMP packet with a single routershop:Recipe property
+function buildRecipeXmp(recipe) {
+    return '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        `<rdf:Description rdf:about="" xmlns:routershop="${ROUTERSHOP_XMP_NAMESPACE}">` +
+        `<routershop:Recipe>${escapeXml(JSON.stringify(recipe))}</routershop:Recipe>` +
+        '</rdf:Description></rdf:RDF></x:xmpmeta>';
+}
+
+function parseRecipeXmp(xmp) {
+    const match = /<routershop:Recipe>([\s\S]*?)<\/routershop:Recipe>/.exec(xmp || '');
+    if (!match) return null;
+    try {
+        return JSON.parse(unescapeXml(match[1]));
+    } catch (e) {
+        console.warn('[parseRecipeXmp] ⚠️ Unreadable recipe:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Names a freshly placed layer from the template and stores the full
+ * generation record in its XMP metadata. Never throws: a layer without
+ * metadata is better than a failed placement.
+ */
+async function tagGeneratedLayer(layer, result) {
+    const logPrefix = "[tagGeneratedLayer]";
+    const createdAt = new Date();
+    const recipe = { app: 'RouterShop', version: 1, ...result, createdAt: createdAt.toISOString() };
+    try {
+        await core.executeAsModal(async () => {
+            layer.name = formatLayerName(result, createdAt);
+            await action.batchPlay([{
+                _obj: "set",
+                _target: [
+                    { _property: "XMPMetadataAsUTF8" },
+                    { _ref: "layer", _id: layer.id }
+                ],
+                to: { _obj: "layer", XMPMetadataAsUTF8: buildRecipeXmp(recipe) }
+            }], {});
+        }, { commandName: "Tag Generated Layer" });
+        console.log(`${logPrefix} 🏷️ Tagged layer ${layer.id} as "${layer.name}"`);
+    } catch (error) {
+        console.warn(`${logPrefix} ⚠️ Could not store generation metadata:`, error.message);
+    }
+}
+
+/**
+ * Reads the generation record from a layer's XMP metadata.
+ * @returns {Promise<Object|null>} null for layers RouterShop didn't create
+ */
+async function readLayerRecipe(layerId) {
+    const result = await action.batchPlay([{
+        _obj: "get",
+        _target: [
+            { _property: "XMPMetadataAsUTF8" },
+            { _ref: "layer", _id: layerId }
+        ]
+    }], {});
+    return parseRecipeXmp(result[0]?.XMPMetadataAsUTF8);
+}
+
+// Shows the stored generation record of the selected layer
+async function showSelectedLayerInfo() {
+    const logPrefix = "[showSelectedLayerInfo]";
+    const infoDiv = document.getElementById('layer-info');
+    if (!infoDiv) return;
+
+    try {
+        const doc = app.activeDocument;
+        if (!doc) throw new Error('No active document open.');
+        const layer = doc.activeLayers[0];
+        if (!layer) throw new Error('Select a layer first.');
+
+        const recipe = await readLayerRecipe(layer.id);
+        if (!recipe) {
+            infoDiv.textContent = `"${layer.name}" has no RouterShop generation info.`;
+            return;
+        }
+
+        // Load the prompt so it can be edited before regenerating
+        const regeneratePrompt = document.getElementById('regenerate-prompt');
+        if (regeneratePrompt) {
+            regeneratePrompt.value = recipe.prompt || '';
+            regeneratePrompt.setAttribute('data-layer-id', String(layer.id));
+        }
+
+        // The cost often arrives after placement; the ledger has it by generation ID
+        let cost = recipe.cost;
+        if (typeof cost !== 'number' && recipe.generationId) {
+            cost = loadCostLedger().find(entry => entry.id === recipe.generationId)?.cost;
+        }
+        const bounds = recipe.selectionBounds;
+        const lines = [
+            `Prompt: ${recipe.prompt || '(none)'}`,
+            `Model: ${recipe.model}`,
+            `Mode: ${{ inpaint: 'Inpaint', outpaint: 'Outpaint' }[recipe.mode] || 'T2I'}${recipe.aspectRatio ? ` (${recipe.aspectRatio})` : ''}`,
+            `Parameters: ${formatAdvancedParams(recipe.params) || 'defaults'}`,
+            `Source bounds: ${bounds ? `${Math.round(bounds.left)},${Math.round(bounds.top)} – ${Math.round(bounds.right)},${Math.round(bounds.bottom)}` : 'whole canvas'}`,
+            `Cost: ${typeof cost === 'number' ? `$${cost.toFixed(4)}` : 'not reported'}`,
+            `Created: ${new Date(recipe.createdAt).toLocaleString()} in ${recipe.documentName || '-'}`
+        ];
+        infoDiv.textContent = lines.join('\n');
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error:`, error);
+        infoDiv.textContent = `❌ ${error.message}`;
+    }
+}
+
+// --- Regenerate layer ---
+
+// Longest side of the surroundings captured when an inpaint/outpaint layer is regenerated
+const REGENERATE_MAX_INPUT = 2048;
+
+// Finds a layer by ID, searching inside groups too
+function findLayerById(layers, layerId) {
+    for (const layer of layers) {
+        if (layer.id === layerId) return layer;
+        if (layer.layers) {
+            const nested = findLayerById(layer.layers, layerId);
+            if (nested) return nested;
+        }
+    }
+    return null;
+}
+
+/**
+ * Area that was sent to the model for an inpaint result: the target bounds,
+ * widened again by the context margin recorded in cropRect.
+ */
+function getRecipeCaptureBounds(recipe) {
+    const bounds = recipe.selectionBounds;
+    const crop = recipe.cropRect;
+    if (!crop) return bounds;
+
+    const captureW = (bounds.right - bounds.left) / (crop.right - crop.left);
+    const captureH = (bounds.bottom - bounds.top) / (crop.bottom - crop.top);
+    const left = bounds.left - crop.left * captureW;
+    const top = bounds.top - crop.top * captureH;
+    return { left, top, right: left + captureW, bottom: top + captureH };
+}
+
+/**
+ * Reads the mask image stored in a recipe back into a selection mask.
+ * @returns {{data: Uint8Array, width: number, height: number, isRectangular: boolean}|null}
+ */
+function decodeRecipeMask(maskBase64) {
+    try {
+        const decoded = decodePng(new Uint8Array(convertBase64ToArrayBuffer(maskBase64)));
+        const data = new Uint8Array(decoded.width * decoded.height);
+        for (let i = 0; i < data.length; i++) data[i] = decoded.data[i * 4];
+        return { data, width: decoded.width, height: decoded.height, isRectangular: false };
+    } catch (e) {
+        console.warn('[decodeRecipeMask] ⚠️ Unreadable mask, regenerating without it:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Captures the document under a layer (the layer itself hidden), as the
+ * model saw it when the layer was first generated. With the recipe's mask,
+ * also encodes it at the captured size, plus a masked-transparency copy.
+ * @returns {Promise<{base64Image: string, width: number, height: number, maskBase64: string|null, maskedBase64: string|null}>}
+ */
+async function captureUnderLayer(doc, layer, bounds, recipeMask = null) {
+    const sourceBounds = {
+        left: Math.max(0, Math.round(bounds.left)),
+        top: Math.max(0, Math.round(bounds.top)),
+        right: Math.min(Math.round(safeAsPx(doc.width)), Math.round(bounds.right)),
+        bottom: Math.min(Math.round(safeAsPx(doc.height)), Math.round(bounds.bottom))
+    };
+    const width = sourceBounds.right - sourceBounds.left;
+    const height = sourceBounds.bottom - sourceBounds.top;
+    const scale = Math.min(1, REGENERATE_MAX_INPUT / Math.max(width, height));
+    const targetSize = { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+
+    let result = null;
+    await core.executeAsModal(async () => {
+        const wasVisible = layer.visible;
+        layer.visible = false;
+        let pixelData = null;
+        try {
+            pixelData = await imaging.getPixels({
+                documentID: doc.id,
+                sourceBounds,
+                targetSize,
+                colorSpace: "RGB",
+                componentSize: 8,
+                applyAlpha: true
+            });
+            const base64Image = await imaging.encodeImageData({
+                "imageData": pixelData.imageData,
+                "base64": true,
+                "outputFormat": "png"
+            });
+            result = { base64Image, ...targetSize, maskBase64: null, maskedBase64: null };
+
+            if (recipeMask) {
+                const mask = resizeSelectionMask(recipeMask, targetSize.width, targetSize.height);
+                result.maskBase64 = await encodeSelectionMask(mask);
+                result.maskedBase64 = await encodeMaskedImage(pixelData.imageData, mask);
+            }
+        } finally {
+            if (pixelData?.imageData?.dispose) pixelData.imageData.dispose();
+            layer.visible = wasVisible;
+        }
+    }, { commandName: "Capture Under Layer" });
+    return result;
+}
+
+/**
+ * Builds the request that produced a recipe again, with a new prompt and seed.
+ * Inpaint and outpaint recipes need the surroundings captured by captureUnderLayer();
+ * inpaint recipes send the selection shape again the way the original request did.
+ */
+function buildRegenerateRequest(recipe, prompt, params, input) {
+    let content = prompt;
+    if (recipe.mode === 'inpaint' && input) {
+        let instructions = 'Return an image with the same framing.';
+        let image = input.base64Image;
+        let mask = null;
+        if (recipe.cropRect) {
+            const { cropRect } = recipe;
+            instructions = `The image shows the area to edit together with its surroundings for context. Edit only the region from (${Math.round(cropRect.left * input.width)}, ${Math.round(cropRect.top * input.height)}) to (${Math.round(cropRect.right * input.width)}, ${Math.round(cropRect.bottom * input.height)}) in pixels of this ${input.width}x${input.height} image, keep everything outside it unchanged and make the edit blend into the scene. ${instructions}`;
+            if (recipe.maskMode === 'mask' && input.maskBase64) {
+                instructions += ' The second image is a mask of that region: white marks the pixels to change, black the pixels to keep.';
+                mask = input.maskBase64;
+            }
+        } else if (recipe.maskMode === 'mask' && input.maskBase64) {
+            instructions = 'The second image is a mask of the area to edit: change only the pixels under its white area and keep the pixels under its black area exactly as they are.';
+            mask = input.maskBase64;
+        } else if (recipe.maskMode === 'transparency' && input.maskedBase64) {
+            instructions = 'Only the visible (non-transparent) pixels belong to the area to edit.';
+            image = input.maskedBase64;
+        }
+        content = [
+            { type: "text", text: `${prompt}\n\n${instructions}` },
+            { type: "image_url", image_url: { url: `data:image/png;base64,${image}` } }
+        ];
+        if (mask) content.push({ type: "image_url", image_url: { url: `data:image/png;base64,${mask}` } });
+    } else if (recipe.mode === 'outpaint' && input) {
+        const instructions = `The image is a ${input.width}x${input.height} canvas with empty areas: fill them, continuing the scene seamlessly across the edges, and keep the existing picture as it is. Return the whole canvas.`;
+        content = [
+            { type: "text", text: prompt ? `${prompt}\n\n${instructions}` : instructions },
+            { type: "image_url", image_url: { url: `data:image/png;base64,${input.base64Image}` } }
+        ];
+    }
+
+    const requestBody = {
+        model: recipe.model,
+        modalities: ["image", "text"],
+        messages: [{ role: 'user', content }]
+    };
+    if (recipe.mode !== 'inpaint' && recipe.mode !== 'outpaint' && recipe.aspectRatio) {
+        requestBody.image_config = { aspect_ratio: recipe.aspectRatio };
+    }
+    return applyAdvancedParams(requestBody, params);
+}
+
+// Pixel size of a smart object's contents, or null when Photoshop doesn't report it
+async function getSmartObjectSize(layerId) {
+    try {
+        const result = await action.batchPlay([{
+            _obj: "get",
+            _target: [
+                { _property: "smartObjectMore" },
+                { _ref: "layer", _id: layerId }
+            ]
+        }], {});
+        const size = result[0]?.smartObjectMore?.size;
+        return size ? { width: Math.round(size.width), height: Math.round(size.height) } : null;
+    } catch (e) {
+        console.warn('[getSmartObjectSize] ⚠️ Could not read smart object size:', e.message);
+        return null;
+    }
+}
+
+/**
+ * Swaps a generated image into an existing smart object. The image is first
+ * cropped like the original placement (cropRect) and resized to the current
+ * contents, so the layer keeps its transform, mask and place in the stack.
+ */
+async function replaceSmartObjectContents(doc, layerId, imageData, cropRect, contentSize) {
+    const logPrefix = "[replaceSmartObjectContents]";
+    const dataFolder = await localFileSystem.getDataFolder();
+    const dimensions = await getImageDimensions(imageData);
+    const extension = IMAGE_FILE_EXTENSIONS[dimensions.format];
+
+    let sourceFile = null;
+    let preparedFile = null;
+    let tempDoc = null;
+    try {
+        sourceFile = await dataFolder.createFile(`temp_regenerated_${Date.now()}.${extension}`, { overwrite: true });
+        await sourceFile.write(convertBase64ToArrayBuffer(imageData.split(',')[1] || ''), { format: uxp.storage.formats.binary });
+
+        await core.executeAsModal(async () => {
+            // Crop and resize in a temp document, then save the result for the replace
+            tempDoc = await app.open(sourceFile);
+            if (cropRect) {
+                const tempW = safeAsPx(tempDoc.width);
+                const tempH = safeAsPx(tempDoc.height);
+                await tempDoc.crop({
+                    left: Math.round(cropRect.left * tempW),
+                    top: Math.round(cropRect.top * tempH),
+                    right: Math.round(cropRect.right * tempW),
+                    bottom: Math.round(cropRect.bottom * tempH)
+                });
+            }
+            if (contentSize) {
+                await tempDoc.resizeImage(contentSize.width, contentSize.height);
+            }
+            preparedFile = await dataFolder.createFile(`temp_regenerated_${Date.now()}_prepared.png`, { overwrite: true });
+            await tempDoc.saveAs.png(preparedFile, {}, true);
+            await tempDoc.closeWithoutSaving();
+            tempDoc = null;
+
+            app.activeDocument = doc;
+            await action.batchPlay([{ _obj: "select", _target: [{ _ref: "layer", _id: layerId }], makeVisible: false }], {});
+            await action.batchPlay([{
+                _obj: "placedLayerReplaceContents",
+                null: { _path: await localFileSystem.createSessionToken(preparedFile), _kind: "local" }
+            }], {});
+        }, { commandName: "Regenerate Layer" });
+        console.log(`${logPrefix} ✅ Replaced contents of layer ${layerId}`);
+    } finally {
+        if (tempDoc) {
+            try {
+                await core.executeAsModal(() => tempDoc.closeWithoutSaving(), { commandName: "Close Temp Document" });
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not close temp document:`, e.message);
+            }
+        }
+        for (const file of [sourceFile, preparedFile]) {
+            if (!file) continue;
+            try {
+                await file.delete();
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not delete temp file:`, e.message);
+            }
+        }
+    }
+}
+
+/**
+ * Queues a new generation for the selected RouterShop layer from the recipe in
+ * its metadata, with the prompt from the Selected Layer box.
+ */
+async function regenerateSelectedLayer() {
+    const logPrefix = "[regenerateSelectedLayer]";
+    const statusDiv = document.getElementById('status-layer');
+    const promptInput = document.getElementById('regenerate-prompt');
+    const regenerateBtn = document.getElementById('regenerate-layer-btn');
+    if (!statusDiv || !promptInput || !regenerateBtn) {
+        console.error(`${logPrefix} ❌ CRITICAL: Selected Layer controls not found in DOM`);
+        return;
+    }
+
+    const apiKey = (document.getElementById('openrouter-api-key-input')?.value || '').trim();
+    if (!apiKey && !isCustomEndpoint()) {
+        statusDiv.textContent = '❌ Please enter your OpenRouter API key in Settings';
+        alert('Please enter your OpenRouter API key in the Settings tab');
+        return;
+    }
+
+    regenerateBtn.disabled = true;
+    try {
+        const doc = app.activeDocument;
+        if (!doc) throw new Error('No active document open.');
+        const layer = doc.activeLayers[0];
+        if (!layer) throw new Error('Select a RouterShop layer first.');
+
+        const recipe = await readLayerRecipe(layer.id);
+        if (!recipe) throw new Error(`"${layer.name}" has no RouterShop generation info to regenerate from.`);
+
+        // The box holds the prompt of the layer it was loaded for; fall back to the stored one
+        let prompt = promptInput.value.trim();
+        if (promptInput.getAttribute('data-layer-id') !== String(layer.id) || !prompt) {
+            prompt = recipe.prompt;
+            promptInput.value = prompt;
+            promptInput.setAttribute('data-layer-id', String(layer.id));
+        }
+
+        let input = null;
+        if ((recipe.mode === 'inpaint' || recipe.mode === 'outpaint') && recipe.selectionBounds) {
+            statusDiv.textContent = 'Capturing the area under the layer...';
+            const recipeMask = recipe.mode === 'inpaint' && recipe.maskMode && recipe.mask ? decodeRecipeMask(recipe.mask) : null;
+            input = await runDocumentStep(null, () => captureUnderLayer(doc, layer, getRecipeCaptureBounds(recipe), recipeMask));
+        }
+
+        // Same parameters as the original; a seeded original gets a new seed so the result differs
+        const originalParams = { seed: null, temperature: null, negativePrompt: '', extra: null, ...(recipe.params || {}) };
+        const params = {
+            ...originalParams,
+            seed: originalParams.seed === null ? null : Math.floor(Math.random() * 2147483647)
+        };
+        const snapshot = {
+            apiKey,
+            recipe,
+            prompt,
+            params,
+            requestBody: buildRegenerateRequest(recipe, prompt, params, input),
+            documentID: doc.id,
+            layerId: layer.id
+        };
+
+        const job = enqueueJob({
+            kind: 'regenerate',
+            label: `Regenerate: ${prompt || '(no prompt)'}`,
+            statusId: 'status-layer',
+            run: (request, report) => runRegenerateJob(snapshot, request, report)
+        });
+        statusDiv.textContent = `🕒 Queued as job #${job.id}`;
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error caught:`, error);
+        statusDiv.textContent = `❌ Error: ${error.message}`;
+    } finally {
+        regenerateBtn.disabled = false;
+    }
+}
+
+async function runRegenerateJob(snapshot, request, report) {
+    const logPrefix = "[runRegenerateJob]";
+    const { apiKey, recipe, prompt, params, requestBody } = snapshot;
+    let { layerId } = snapshot;
+
+    const budget = assertWithinBudget(recipe.model);
+    request.budgetReservation = budget;
+    const { imageUrls, generation } = await runNetworkStep(request, (signal) => {
+        report('Sending request to OpenRouter API...');
+        return requestImageCompletion(apiKey, requestBody, logPrefix, signal, recipe.mode || 't2i', budget);
+    });
+    throwIfCancelled(request);
+
+    const doc = resolveTargetDocument(snapshot.documentID);
+    const runRecord = {
+        prompt,
+        model: recipe.model,
+        mode: recipe.mode,
+        selectionBounds: recipe.selectionBounds,
+        cropRect: recipe.cropRect,
+        aspectRatio: recipe.aspectRatio,
+        maskMode: recipe.maskMode,
+        mask: recipe.mask,
+        documentName: doc.title,
+        params,
+        generations: [generation]
+    };
+
+    await runDocumentStep(request, async () => {
+        const layer = findLayerById(doc.layers, layerId);
+        if (!layer) {
+            throw new Error('The layer this job was queued for no longer exists.');
+        }
+
+        // Text-to-image results are placed as pixel layers: make them smart objects first
+        if (layer.kind !== constants.LayerKind.SMARTOBJECT) {
+            report('Converting layer to a smart object...');
+            await core.executeAsModal(async () => {
+                app.activeDocument = doc;
+                doc.activeLayers = [layer];
+                await action.batchPlay([{ _obj: "newPlacedLayer" }], {});
+            }, { commandName: "Convert to Smart Object" });
+
+            const promptInput = document.getElementById('regenerate-prompt');
+            if (promptInput?.getAttribute('data-layer-id') === String(layerId)) {
+                promptInput.setAttribute('data-layer-id', String(doc.activeLayers[0].id));
+            }
+            layerId = doc.activeLayers[0].id;
+        }
+
+        report('Replacing smart object contents...');
+        await replaceSmartObjectContents(doc, layerId, imageUrls[0], recipe.cropRect, await getSmartObjectSize(layerId));
+    });
+
+    const historyIds = await recordGenerationResults([imageUrls[0]], runRecord);
+
+    // Look the layer up again: the replace invalidates older references
+    await runDocumentStep(null, async () => {
+        const layer = findLayerById(doc.layers, layerId);
+        if (layer) {
+            await tagGeneratedLayer(layer, describeGenerationResult(runRecord));
+            if (historyIds[0]) await attachHistoryThumbnail(historyIds[0], layer);
+        }
+    });
+    report('✅ Layer regenerated');
+}
+
+// --- Candidate gallery ---
+
+// Candidates of the multi-variation run shown in the gallery and how they should be placed
+let galleryState = { imageUrls: [], historyIds: [], results: [], selected: new Set(), placement: null };
+
+// Runs that finished while the gallery was still showing another one
+let pendingGalleries = [];
+
+/**
+ * Places one generated image using the placement captured at generation time:
+ * a plain new layer for text-to-image, or scaled/masked onto the selection for inpainting.
+ * @param {Object} [result] - describeGenerationResult() of the image, stored in the layer's metadata
+ */
+async function placeCandidate(imageUrl, placement, historyId = null, result = null) {
+    let layer;
+    if (placement.mode === 'inpaint') {
+        layer = await addImageToPhotoshopWithTransform(imageUrl, placement.targetBounds, { ...placement.options, documentID: placement.documentID });
+    } else if (placement.outputSize && placement.outputSize.mode !== 'original') {
+        const targetBounds = await getOutputTargetBounds(imageUrl, placement);
+        layer = await addImageToPhotoshopWithTransform(imageUrl, targetBounds, { documentID: placement.documentID });
+    } else {
+        layer = await addImageToPhotoshop(imageUrl, placement.documentID);
+    }
+
+    if (result && layer) {
+        await tagGeneratedLayer(layer, result);
+    }
+    if (historyId && layer) {
+        await attachHistoryThumbnail(historyId, layer);
+    }
+    return layer;
+}
+
+/**
+ * Reads the text-to-image placement mode: as returned, resampled to an exact
+ * pixel size, or fitted to the canvas.
+ * @returns {{mode: 'original'|'exact'|'fit', width?: number, height?: number}}
+ * @throws {Error} when exact size is chosen without a valid width and height
+ */
+function readOutputSizeMode() {
+    const mode = document.getElementById('t2i-placement-mode')?.value || 'original';
+    if (mode !== 'exact') return { mode: mode === 'fit' ? 'fit' : 'original' };
+
+    const width = parseInt(document.getElementById('t2i-exact-width')?.value, 10);
+    const height = parseInt(document.getElementById('t2i-exact-height')?.value, 10);
+    if (!(width > 0 && height > 0)) {
+        throw new Error('Enter a width and height in pixels for the exact output size.');
+    }
+    return { mode, width, height };
+}
+
+/**
+ * Where a text-to-image result goes in "exact size" and "fit to canvas" modes:
+ * a rectangle centred on the canvas, either the requested pixel size or the
+ * largest one with the image's own aspect ratio that fits the document.
+ */
+async function getOutputTargetBounds(imageUrl, placement) {
+    const doc = resolveTargetDocument(placement.documentID);
+    const docW = safeAsPx(doc.width);
+    const docH = safeAsPx(doc.height);
+
+    let { width, height } = placement.outputSize;
+    if (placement.outputSize.mode === 'fit') {
+        const dimensions = await getImageDimensions(imageUrl);
+        const scale = Math.min(docW / dimensions.width, docH / dimensions.height);
+        width = Math.max(1, Math.round(dimensions.width * scale));
+        height = Math.max(1, Math.round(dimensions.height * scale));
+    }
+
+    const left = Math.round((docW - width) / 2);
+    const top = Math.round((docH - height) / 2);
+    return { left, top, right: left + width, bottom: top + height };
+}
+
+/**
+ * Shows the exact size inputs only in exact mode, prefilled from the chosen
+ * aspect ratio's listed pixel size.
+ */
+function updateExactSizeInputs(fromRatio = false) {
+    const mode = document.getElementById('t2i-placement-mode')?.value;
+    const exactRow = document.getElementById('t2i-exact-size');
+    if (exactRow) exactRow.style.display = mode === 'exact' ? 'flex' : 'none';
+
+    if (fromRatio) {
+        const ratioName = document.getElementById('image-size-select')?.value;
+        const ratioEntry = aspectRatioPresets.find(item => item.name === ratioName);
+        const widthInput = document.getElementById('t2i-exact-width');
+        const heightInput = document.getElementById('t2i-exact-height');
+        if (ratioEntry && widthInput && heightInput) {
+            widthInput.value = ratioEntry.width;
+            heightInput.value = ratioEntry.height;
+        }
+    }
+}
+
+/**
+ * Shows a run's candidates in the gallery, or lines them up behind the run
+ * the user is still choosing from.
+ * @returns {boolean} false when the run has to wait for the current gallery
+ */
+function showGallery(imageUrls, placement, historyIds = [], results = []) {
+    if (galleryState.imageUrls.length) {
+        pendingGalleries.push({ imageUrls, placement, historyIds, results });
+        return false;
+    }
+    galleryState = { imageUrls, historyIds, results, selected: new Set([0]), placement };
+    renderGallery();
+
+    const gallerySection = document.getElementById('gallery-section');
+    if (gallerySection) gallerySection.style.display = 'block';
+    return true;
+}
+
+function renderGallery() {
+    const grid = document.getElementById('gallery-grid');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    galleryState.imageUrls.forEach((url, index) => {
+        const thumb = document.createElement('img');
+        thumb.src = url;
+        thumb.className = 'gallery-thumb' + (galleryState.selected.has(index) ? ' selected' : '');
+        thumb.title = `Candidate ${index + 1}`;
+        thumb.addEventListener('click', () => {
+            if (galleryState.selected.has(index)) {
+                galleryState.selected.delete(index);
+            } else {
+                galleryState.selected.add(index);
+            }
+            renderGallery();
+        });
+        grid.appendChild(thumb);
+    });
+
+    const placeBtn = document.getElementById('gallery-place-btn');
+    if (placeBtn) placeBtn.disabled = galleryState.selected.size === 0;
+}
+
+// Closes the gallery, then shows the next run waiting for it
+function hideGallery() {
+    galleryState = { imageUrls: [], historyIds: [], results: [], selected: new Set(), placement: null };
+    const grid = document.getElementById('gallery-grid');
+    if (grid) grid.innerHTML = '';
+    const gallerySection = document.getElementById('gallery-section');
+    if (gallerySection) gallerySection.style.display = 'none';
+
+    const next = pendingGalleries.shift();
+    if (next) showGallery(next.imageUrls, next.placement, next.historyIds, next.results);
+}
+
+async function placeSelectedCandidates() {
+    const logPrefix = "[placeSelectedCandidates]";
+    const statusDiv = document.getElementById('status-gallery');
+    const placeBtn = document.getElementById('gallery-place-btn');
+    // The gallery can move on to another run while these are placed
+    const { imageUrls, historyIds, results, placement } = galleryState;
+    const indices = [...galleryState.selected].sort((a, b) => a - b);
+
+    if (!indices.length || !placement) return;
+
+    try {
+        if (placeBtn) placeBtn.disabled = true;
+        for (let i = 0; i < indices.length; i++) {
+            statusDiv.textContent = `Placing candidate ${i + 1}/${indices.length}...`;
+            console.log(`${logPrefix} 🔄 Placing candidate #${indices[i] + 1}`);
+            const index = indices[i];
+            await runDocumentStep(null, () => placeCandidate(imageUrls[index], placement, historyIds[index], results[index]));
+        }
+        statusDiv.textContent = `✅ ${indices.length} candidate(s) added to Photoshop`;
+        // Unless it was discarded meanwhile and shows another run now
+        if (galleryState.imageUrls === imageUrls) hideGallery();
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error:`, error);
+        statusDiv.textContent = `❌ Error: ${error.message}`;
+    } finally {
+        if (placeBtn) placeBtn.disabled = galleryState.selected.size === 0;
+    }
+}
+
+// --- Generation history ---
+
+const HISTORY_FOLDER_NAME = 'history';
+const HISTORY_INDEX_FILE = 'history.json';
+const HISTORY_THUMBNAIL_SIZE = 128;
+
+async function getHistoryFolder() {
+    const dataFolder = await localFileSystem.getDataFolder();
+    try {
+        return await dataFolder.getEntry(HISTORY_FOLDER_NAME);
+    } catch (e) {
+        return await dataFolder.createFolder(HISTORY_FOLDER_NAME);
+    }
+}
+
+/**
+ * Reads the history index (newest entry first). Returns an empty list when no
+ * history has been written yet or the index can't be parsed.
+ */
+async function loadHistoryIndex() {
+    try {
+        const folder = await getHistoryFolder();
+        const file = await folder.getEntry(HISTORY_INDEX_FILE);
+        const content = await file.read({ format: uxp.storage.formats.utf8 });
+        const entries = JSON.parse(content);
+        return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+async function saveHistoryIndex(entries) {
+    const folder = await getHistoryFolder();
+    const file = await folder.createFile(HISTORY_INDEX_FILE, { overwrite: true });
+    await file.write(JSON.stringify(entries, null, 2), { format: uxp.storage.formats.utf8 });
+}
+
+// Tail of the chain every change to the history index runs on, one at a time
+let historyIndexChain = Promise.resolve();
+
+/**
+ * Loads the index, lets `update` change it and saves the result, after every
+ * earlier update has finished, so jobs finishing close together don't save
+ * over each other's entries.
+ * @param {(entries: Object[]) => Promise<Object[]|null>} update - returns the
+ *   entries to save, or null to leave the index unchanged
+ */
+function updateHistoryIndex(update) {
+    const step = historyIndexChain.then(async () => {
+        const updated = await update(await loadHistoryIndex());
+        if (updated) await saveHistoryIndex(updated);
+    });
+    historyIndexChain = step.catch(() => {});
+    return step;
+}
+
+async function deleteHistoryFiles(folder, entry) {
+    for (const fileName of [entry.imageFile, entry.thumbFile]) {
+        if (!fileName) continue;
+        try {
+            const file = await folder.getEntry(fileName);
+            await file.delete();
+        } catch (e) {
+            console.warn(`[history] ⚠️ Could not delete ${fileName}:`, e.message);
+        }
+    }
+}
+
+// Drops the oldest entries until the stored images fit in the configured size limit
+async function enforceHistoryRetention(entries) {
+    const limitMb = parseFloat(document.getElementById('setting-history-limit')?.value) || 0;
+    if (limitMb <= 0) return entries;
+
+    const limitBytes = limitMb * 1024 * 1024;
+    let totalBytes = entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+    if (totalBytes <= limitBytes) return entries;
+
+    const folder = await getHistoryFolder();
+    const kept = [...entries];
+    while (kept.length && totalBytes > limitBytes) {
+        const oldest = kept.pop();
+        totalBytes -= oldest.bytes || 0;
+        await deleteHistoryFiles(folder, oldest);
+        console.log(`[history] 🧹 Retention limit reached, removed entry ${oldest.id}`);
+    }
+    return kept;
+}
+
+function getImageExtensionFromDataUrl(imageUrl) {
+    // Trust the bytes over the declared MIME type, which providers sometimes get wrong
+    const base64 = imageUrl.substring(imageUrl.indexOf(',') + 1);
+    const header = readImageHeader(convertBase64ToArrayBuffer(base64.substring(0, 64)));
+    if (header) return IMAGE_FILE_EXTENSIONS[header.format];
+
+    const match = /^data:image\/([a-z0-9+.-]+);/i.exec(imageUrl);
+    const type = match ? match[1].toLowerCase() : 'png';
+    return type === 'jpeg' ? 'jpg' : type;
+}
+
+/**
+ * Encodes a JPEG thumbnail HISTORY_THUMBNAIL_SIZE pixels high straight from
+ * PNG bytes, averaging each block of source pixels and flattening
+ * transparency onto white.
+ * @returns {Promise<string|null>} raw Base64 string, or null for other formats
+ *   (those get their thumbnail from the layer when placed)
+ */
+async function createThumbnailFromBytes(bytes) {
+    let decoded;
+    try {
+        decoded = decodePng(new Uint8Array(bytes));
+    } catch (e) {
+        return null;
+    }
+
+    const scale = Math.min(1, HISTORY_THUMBNAIL_SIZE / decoded.height);
+    const width = Math.max(1, Math.round(decoded.width * scale));
+    const height = Math.max(1, Math.round(decoded.height * scale));
+    const rgb = new Uint8Array(width * height * 3);
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * decoded.height / height);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * decoded.height / height));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * decoded.width / width);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * decoded.width / width));
+            let r = 0, g = 0, b = 0;
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * decoded.width + sx) * 4;
+                    const alpha = decoded.data[i + 3] / 255;
+                    r += decoded.data[i] * alpha + 255 * (1 - alpha);
+                    g += decoded.data[i + 1] * alpha + 255 * (1 - alpha);
+                    b += decoded.data[i + 2] * alpha + 255 * (1 - alpha);
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            const o = (y * width + x) * 3;
+            rgb[o] = Math.round(r / count);
+            rgb[o + 1] = Math.round(g / count);
+            rgb[o + 2] = Math.round(b / count);
+        }
+    }
+
+    const imageData = await imaging.createImageDataFromBuffer(rgb, {
+        width,
+        height,
+        components: 3,
+        chunky: true,
+        colorSpace: "RGB",
+        colorProfile: "sRGB IEC61966-2.1"
+    });
+    try {
+        return await imaging.encodeImageData({ "imageData": imageData, "base64": true });
+    } finally {
+        imageData.dispose();
+    }
+}
+
+// Writes a thumbnail next to the history image; returns its file name and size
+async function writeHistoryThumbnail(folder, historyId, thumbBase64) {
+    const thumbBytes = convertBase64ToArrayBuffer(thumbBase64);
+    const thumbFile = `${historyId}_thumb.jpg`;
+    const file = await folder.createFile(thumbFile, { overwrite: true });
+    await file.write(thumbBytes, { format: uxp.storage.formats.binary });
+    return { thumbFile, byteLength: thumbBytes.byteLength };
+}
+
+/**
+ * Stores generated images in the history folder, with a thumbnail made from
+ * the image itself so candidates that are never placed get one too.
+ * @param {string[]} imageUrls - data URLs of the generated images
+ * @param {{prompt: string, model: string, mode: 't2i'|'inpaint', selectionBounds: object|null, documentName: string}} record
+ * @returns {Promise<string[]>} history entry IDs in the same order as imageUrls
+ *   (empty if history could not be written)
+ */
+async function recordGenerationResults(imageUrls, record) {
+    const logPrefix = "[recordGenerationResults]";
+    try {
+        const folder = await getHistoryFolder();
+        const newEntries = [];
+
+        for (const [index, imageUrl] of imageUrls.entries()) {
+            const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+            const bytes = convertBase64ToArrayBuffer(imageUrl.split(',')[1] || '');
+            const imageFile = `${id}.${getImageExtensionFromDataUrl(imageUrl)}`;
+
+            const file = await folder.createFile(imageFile, { overwrite: true });
+            await file.write(bytes, { format: uxp.storage.formats.binary });
+
+            let thumb = null;
+            try {
+                const thumbBase64 = await createThumbnailFromBytes(bytes);
+                if (thumbBase64) thumb = await writeHistoryThumbnail(folder, id, thumbBase64);
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not create thumbnail:`, e.message);
+            }
+
+            // The mask image only goes into the layer metadata, not the index
+            const { mask, ...result } = describeGenerationResult(record, index);
+            newEntries.push({
+                id,
+                timestamp: new Date().toISOString(),
+                ...result,
+                imageFile,
+                thumbFile: thumb ? thumb.thumbFile : null,
+                bytes: bytes.byteLength + (thumb ? thumb.byteLength : 0)
+            });
+        }
+
+        await updateHistoryIndex(entries => {
+            for (const entry of newEntries) entries.unshift(entry);
+            return enforceHistoryRetention(entries);
+        });
+        console.log(`${logPrefix} 💾 Stored ${newEntries.length} result(s) in history`);
+        return newEntries.map(entry => entry.id);
+    } catch (error) {
+        // History must never break a generation
+        console.warn(`${logPrefix} ⚠️ Could not write history:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Creates a small JPEG thumbnail of a placed layer and attaches it to a history
+ * entry that has none yet (results that createThumbnailFromBytes() can't read).
+ */
+async function attachHistoryThumbnail(historyId, layer) {
+    const logPrefix = "[attachHistoryThumbnail]";
+    let pixelData = null;
+    try {
+        const entries = await loadHistoryIndex();
+        const entry = entries.find(e => e.id === historyId);
+        if (!entry || entry.thumbFile) return;
+
+        let thumbBase64 = null;
+        await core.executeAsModal(async () => {
+            pixelData = await imaging.getPixels({
+                documentID: app.activeDocument.id,
+                layerID: layer.id,
+                targetSize: { height: HISTORY_THUMBNAIL_SIZE },
+                colorSpace: "RGB",
+                componentSize: 8,
+                applyAlpha: true
+            });
+            thumbBase64 = await imaging.encodeImageData({
+                "imageData": pixelData.imageData,
+                "base64": true
+            });
+        }, { commandName: "Create History Thumbnail" });
+
+        const folder = await getHistoryFolder();
+        const { thumbFile, byteLength } = await writeHistoryThumbnail(folder, historyId, thumbBase64);
+
+        await updateHistoryIndex(async latest => {
+            const current = latest.find(e => e.id === historyId);
+            if (!current) return null;
+            current.thumbFile = thumbFile;
+            current.bytes = (current.bytes || 0) + byteLength;
+            return latest;
+        });
+        console.log(`${logPrefix} 🖼️ Thumbnail stored for ${historyId}`);
+    } catch (error) {
+        console.warn(`${logPrefix} ⚠️ Could not create thumbnail:`, error.message);
+    } finally {
+        if (pixelData?.imageData?.dispose) pixelData.imageData.dispose();
+    }
+}
+
+async function readHistoryImage(folder, fileName) {
+    const file = await folder.getEntry(fileName);
+    const bytes = await file.read({ format: uxp.storage.formats.binary });
+    const extension = fileName.split('.').pop().toLowerCase();
+    const mimeType = extension === 'jpg' ? 'jpeg' : extension;
+    return `data:image/${mimeType};base64,${convertArrayBufferToBase64(bytes)}`;
+}
+
+async function renderHistoryList() {
+    const listDiv = document.getElementById('history-list');
+    const statusDiv = document.getElementById('status-history');
+    if (!listDiv) return;
+
+    const entries = await loadHistoryIndex();
+    listDiv.innerHTML = '';
+
+    const totalMb = entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0) / (1024 * 1024);
+    if (statusDiv) {
+        statusDiv.textContent = entries.length
+            ? `${entries.length} result(s), ${totalMb.toFixed(1)} MB`
+            : 'No generations yet.';
+    }
+    if (!entries.length) return;
+
+    const folder = await getHistoryFolder();
+    for (const entry of entries) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'history-thumb';
+        try {
+            thumb.src = await readHistoryImage(folder, entry.thumbFile || entry.imageFile);
+        } catch (e) {
+            console.warn(`[renderHistoryList] ⚠️ Missing image for ${entry.id}`);
+        }
+        item.appendChild(thumb);
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+        const promptLine = document.createElement('div');
+        promptLine.className = 'history-prompt';
+        promptLine.textContent = entry.prompt.length > 80 ? `${entry.prompt.slice(0, 80)}…` : entry.prompt;
+        const metaLine = document.createElement('div');
+        metaLine.className = 'history-meta';
+        const modeLabel = { inpaint: 'Inpaint', outpaint: 'Outpaint' }[entry.mode] || 'T2I';
+        metaLine.textContent = `${modeLabel} · ${entry.model} · ${entry.documentName || '-'} · ${new Date(entry.timestamp).toLocaleString()}`;
+        info.appendChild(promptLine);
+        info.appendChild(metaLine);
+        if (entry.params) {
+            const paramsLine = document.createElement('div');
+            paramsLine.className = 'history-meta';
+            paramsLine.textContent = formatAdvancedParams(entry.params);
+            info.appendChild(paramsLine);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        const buttons = [
+            ['Place', () => replaceHistoryEntry(entry.id)],
+            ['Use Prompt', () => useHistoryPrompt(entry.id)],
+            ...(entry.params ? [['Use Parameters', () => useHistoryParams(entry.id)]] : []),
+            ['Delete', () => deleteHistoryEntry(entry.id)]
+        ];
+        for (const [label, handler] of buttons) {
+            const btn = document.createElement('button');
+            btn.className = 'tertiary-btn';
+            btn.textContent = label;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        }
+        info.appendChild(actions);
+
+        item.appendChild(info);
+        listDiv.appendChild(item);
+    }
+}
+
+// Places a stored result again: inpaint results go back onto their original bounds
+async function replaceHistoryEntry(historyId) {
+    const logPrefix = "[replaceHistoryEntry]";
+    const statusDiv = document.getElementById('status-history');
+    try {
+        const entries = await loadHistoryIndex();
+        const entry = entries.find(e => e.id === historyId);
+        if (!entry) throw new Error('History entry not found.');
+
+        statusDiv.textContent = 'Placing result...';
+        const folder = await getHistoryFolder();
+        const imageUrl = await readHistoryImage(folder, entry.imageFile);
+        const placement = (entry.mode === 'inpaint' || entry.mode === 'outpaint') && entry.selectionBounds
+            ? { mode: 'inpaint', targetBounds: entry.selectionBounds, options: { cropRect: entry.cropRect || null } }
+            : { mode: 't2i' };
+
+        // Only the generation fields go into the layer metadata, not the file bookkeeping
+        const result = describeGenerationResult({ ...entry, generations: [{ id: entry.generationId, cost: entry.cost }] });
+        await runDocumentStep(null, () => placeCandidate(imageUrl, placement, historyId, result));
+        statusDiv.textContent = '✅ Result placed in the active document';
+        await renderHistoryList();
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error:`, error);
+        statusDiv.textContent = `❌ Error: ${error.message}`;
+    }
+}
+
+async function useHistoryPrompt(historyId) {
+    const entries = await loadHistoryIndex();
+    const entry = entries.find(e => e.id === historyId);
+    if (!entry) return;
+
+    const promptInputIds = { inpaint: 'prompt-img2img', outpaint: 'prompt-outpaint' };
+    const promptInput = document.getElementById(promptInputIds[entry.mode] || 'prompt');
+    if (promptInput) promptInput.value = entry.prompt;
+
+    // Jump back to the Generate tab
+    document.querySelector('.tab-btn[data-tab="main-tab"]')?.click();
+}
+
+// Puts an entry's model, seed, temperature and the rest back to repeat the generation
+async function useHistoryParams(historyId) {
+    const entries = await loadHistoryIndex();
+    const entry = entries.find(e => e.id === historyId);
+    if (!entry || !entry.params) return;
+
+    restoreAdvancedParams(entry.params, entry.model);
+    const statusDiv = document.getElementById('status-history');
+    if (statusDiv) statusDiv.textContent = `✅ Parameters restored for ${entry.model}. Clear the seed in Advanced to get new results.`;
+}
+
+async function deleteHistoryEntry(historyId) {
+    await updateHistoryIndex(async entries => {
+        const entry = entries.find(e => e.id === historyId);
+        if (!entry) return null;
+
+        const folder = await getHistoryFolder();
+        await deleteHistoryFiles(folder, entry);
+        return entries.filter(e => e.id !== historyId);
+    });
+    await renderHistoryList();
+}
+
+// --- Tiled high-res inpainting ---
+
+// Overlap between neighbouring tiles, blended with a linear ramp
+const TILE_OVERLAP = 128;
+
+// Longest side of the low-res overview sent with every tile as shared context
+const TILE_OVERVIEW_SIZE = 512;
+
+/**
+ * Splits bounds into overlapping tiles no larger than tileSize on either side.
+ * @returns {Array<{left: number, top: number, right: number, bottom: number}>}
+ */
+function planSelectionTiles(bounds, tileSize, overlap = TILE_OVERLAP) {
+    const splitAxis = (start, end) => {
+        const length = end - start;
+        if (length <= tileSize) return [[start, end]];
+        const count = Math.ceil((length - overlap) / (tileSize - overlap));
+        // Spread the tiles evenly so every overlap is at least `overlap` pixels
+        const size = Math.ceil((length + overlap * (count - 1)) / count);
+        const step = (length - size) / (count - 1);
+        return Array.from({ length: count }, (_, i) => {
+            const tileStart = Math.round(start + i * step);
+            return [tileStart, Math.min(end, tileStart + size)];
+        });
+    };
+
+    const tiles = [];
+    for (const [top, bottom] of splitAxis(Math.round(bounds.top), Math.round(bounds.bottom))) {
+        for (const [left, right] of splitAxis(Math.round(bounds.left), Math.round(bounds.right))) {
+            tiles.push({ left, top, right, bottom });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Cuts the part of a selection mask captured for maskBounds that lies inside bounds.
+ */
+function cropSelectionMask(mask, maskBounds, bounds) {
+    const width = bounds.right - bounds.left;
+    const height = bounds.bottom - bounds.top;
+    const offsetX = Math.round(bounds.left - maskBounds.left);
+    const offsetY = Math.round(bounds.top - maskBounds.top);
+    const data = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const start = (y + offsetY) * mask.width + offsetX;
+        data.set(mask.data.subarray(start, start + width), y * width);
+    }
+    return { data, width, height, isRectangular: data.every(value => value === 255) };
+}
+
+/**
+ * Layer mask for one tile. Tiles are placed in order, so only the tile placed
+ * later blends: it fades in linearly across its overlap with every tile that
+ * is already in the document and stays opaque everywhere else. Earlier tiles
+ * stay fully opaque, so every seam adds up to full coverage, and a tile next
+ * to a skipped one keeps its hard edge rather than fading into the hole.
+ * @param {Array<{left: number, top: number, right: number, bottom: number}>} placedTiles - tiles already placed
+ */
+function buildTileBlendMask(tile, placedTiles) {
+    const width = tile.right - tile.left;
+    const height = tile.bottom - tile.top;
+    const data = new Uint8Array(width * height).fill(255);
+
+    for (const placed of placedTiles) {
+        const left = Math.max(tile.left, placed.left);
+        const top = Math.max(tile.top, placed.top);
+        const right = Math.min(tile.right, placed.right);
+        const bottom = Math.min(tile.bottom, placed.bottom);
+        if (right <= left || bottom <= top) continue;
+
+        // Weight along one axis: 0 at this tile's edge, 1 where the placed tile ends.
+        // -1 when the placed tile doesn't end inside this tile on that axis
+        const axisWeight = (pos, tileStart, tileEnd, placedStart, placedEnd) => {
+            if (placedEnd < tileEnd) return Math.min(1, (pos - tileStart + 0.5) / (placedEnd - tileStart));
+            if (placedStart > tileStart) return Math.min(1, (tileEnd - pos - 0.5) / (tileEnd - placedStart));
+            return -1;
+        };
+
+        for (let y = top; y < bottom; y++) {
+            const wy = axisWeight(y, tile.top, tile.bottom, placed.top, placed.bottom);
+            for (let x = left; x < right; x++) {
+                const wx = axisWeight(x, tile.left, tile.right, placed.left, placed.right);
+                // Leave the placed tile along whichever axis is nearer its edge
+                const weight = Math.max(0, wx, wy);
+                const index = (y - tile.top) * width + (x - tile.left);
+                data[index] = Math.min(data[index], Math.round(255 * weight));
+            }
+        }
+    }
+    return { data, width, height, isRectangular: false };
+}
+
+/**
+ * Captures every tile at full resolution plus a low-res overview of the whole
+ * selection, all from the composite before any tile is placed.
+ */
+async function captureSelectionTiles(selectionBounds, tiles) {
+    const doc = app.activeDocument;
+    const tileImages = [];
+    let overviewBase64 = null;
+
+    await core.executeAsModal(async () => {
+        for (const tile of tiles) {
+            const pixelData = await imaging.getPixels({
+                documentID: doc.id,
+                sourceBounds: tile,
+                colorSpace: "RGB",
+                componentSize: 8,
+                applyAlpha: true
+            });
+            try {
+                tileImages.push(await imaging.encodeImageData({
+                    "imageData": pixelData.imageData,
+                    "base64": true,
+                    "outputFormat": "png"
+                }));
+            } finally {
+                pixelData.imageData.dispose();
+            }
+        }
+
+        const selW = selectionBounds.right - selectionBounds.left;
+        const selH = selectionBounds.bottom - selectionBounds.top;
+        const scale = Math.min(1, TILE_OVERVIEW_SIZE / Math.max(selW, selH));
+        const overviewData = await imaging.getPixels({
+            documentID: doc.id,
+            sourceBounds: selectionBounds,
+            targetSize: { width: Math.max(1, Math.round(selW * scale)), height: Math.max(1, Math.round(selH * scale)) },
+            colorSpace: "RGB",
+            componentSize: 8,
+            applyAlpha: true
+        });
+        try {
+            overviewBase64 = await imaging.encodeImageData({
+                "imageData": overviewData.imageData,
+                "base64": true,
+                "outputFormat": "png"
+            });
+        } finally {
+            overviewData.imageData.dispose();
+        }
+    }, { commandName: "Capture Selection Tiles" });
+
+    return { tileImages, overviewBase64 };
+}
 
-    try {
-        // --- Step 1: Prepare image ---
-        let base64Data = imageData.split(',')[1];
-        if (!base64Data) throw new Error("Invalid image data format");
+/**
+ * Generates a large selection tile by tile from tiles captured by
+ * captureSelectionTiles(), blends the tiles over their overlaps and merges
+ * them into one full-resolution smart object, which then gets the usual
+ * selection mask and colour match from the placement options.
+ * @returns {Promise<{layer: Layer, imageUrl: string, tileCount: number, cost: number|null}>} cost is null unless every tile reported one
+ */
+async function generateTiledInpaint({ apiKey, prompt, imageModel, params, maskMode, selectionBounds, selectionMask, tiles, tileImages, overviewBase64, placement, request, report }) {
+    const logPrefix = "[generateTiledInpaint]";
+    const selW = Math.round(selectionBounds.right - selectionBounds.left);
+    const selH = Math.round(selectionBounds.bottom - selectionBounds.top);
+    console.log(`${logPrefix} 🧩 ${selW}x${selH} selection split into ${tiles.length} tiles`);
 
-        const uint8Array = convertBase64ToArrayBuffer(base64Data);
-        const dimensions = await getImageDimensions(imageData); // {width, height, format}
-        console.log(`${logPrefix} 🖼️ Generated image dimensions:`, dimensions);
+    const budget = assertWithinBudget(imageModel, tiles.length);
+    request.budgetReservation = budget;
 
-        const dataFolder = await localFS.getDataFolder();
-        const extension = dimensions.format === 'jpeg' ? 'jpg' : 'png';
-        const fileName = `temp_generated_${Date.now()}.${extension}`;
-        tempFile = await dataFolder.createFile(fileName, { overwrite: true });
-        await tempFile.write(uint8Array, { format: uxp.storage.formats.binary });
-        console.log(`${logPrefix} 💾 Temp image written to: ${tempFile.nativePath}`);
+    const targetDoc = resolveTargetDocument(placement.documentID);
+    const tileLayers = [];
+    const placedTiles = [];
+    const tileCosts = [];
 
-        const targetDoc = app.activeDocument;
+    try {
+        for (let i = 0; i < tiles.length; i++) {
+            const tile = tiles[i];
+            const tileMask = cropSelectionMask(selectionMask, selectionBounds, tile);
+
+            // Nothing of a lasso selection falls inside this tile
+            if (tileMask.data.every(value => value === 0)) {
+                console.log(`${logPrefix} ⏭️ Tile ${i + 1} is outside the selection shape, skipped`);
+                continue;
+            }
 
-        // --- Step 2: Execute Photoshop actions ---
-        await core.executeAsModal(async () => {
-            console.log(`${logPrefix} 🔒 Entered executeAsModal`);
+            report(`Tile ${i + 1}/${tiles.length}: generating...`);
+            const x1 = tile.left - Math.round(selectionBounds.left);
+            const y1 = tile.top - Math.round(selectionBounds.top);
+            const content = [
+                {
+                    type: "text",
+                    text: `${prompt}\n\nThis is tile ${i + 1} of ${tiles.length} of a larger edit. The first image is the tile at full resolution. The second image shows the whole ${selW}x${selH} area at low resolution for reference; this tile covers the region from (${x1}, ${y1}) to (${x1 + tile.right - tile.left}, ${y1 + tile.bottom - tile.top}) of it. Return only this tile with the same framing and full detail, consistent with the whole area.`
+                },
+                { type: "image_url", image_url: { url: `data:image/png;base64,${tileImages[i]}` } },
+                { type: "image_url", image_url: { url: `data:image/png;base64,${overviewBase64}` } }
+            ];
+            if (!tileMask.isRectangular && maskMode === 'mask') {
+                content[0].text += ' The third image is a mask of the tile: change only the pixels under its white area.';
+                content.push({ type: "image_url", image_url: { url: `data:image/png;base64,${await encodeSelectionMask(tileMask)}` } });
+            }
 
-            // Open temp image and duplicate as smart object
-            tempDoc = await app.open(tempFile);
-            console.log(`${logPrefix} 🆕 Temp document opened. Layers: ${tempDoc.layers.length}`);
+            // Each tile request has its own timeout; the job's controller only cancels
+            const { imageUrls, generation } = await runNetworkStep(request, (signal) => {
+                report(`Tile ${i + 1}/${tiles.length}: generating (upload ${formatPayloadSize(JSON.stringify(content).length)})...`);
+                return requestImageCompletion(apiKey, applyAdvancedParams({
+                    model: imageModel,
+                    modalities: ["image", "text"],
+                    messages: [{ role: 'user', content }]
+                }, params), logPrefix, signal, 'inpaint', budget);
+            });
+            throwIfCancelled(request);
+            tileCosts.push(generation.cost);
+
+            report(`Tile ${i + 1}/${tiles.length}: placing...`);
+            const blendMask = buildTileBlendMask(tile, placedTiles);
+            const tileLayer = await runDocumentStep(request, () => addImageToPhotoshopWithTransform(imageUrls[0], tile, {
+                selectionMask: blendMask,
+                featherRadius: 0,
+                documentID: placement.documentID
+            }));
+            tileLayers.push(tileLayer);
+            placedTiles.push(tile);
+            throwIfCancelled(request);
+        }
 
-            // Duplicate to target as a smart object
-            const newLayer = await tempDoc.layers[0].duplicate(targetDoc);
-            console.log(`${logPrefix} ✅ Layer duplicated to target doc: ${targetDoc.title}`);
+        if (tileLayers.length === 0) {
+            throw new Error('No tile overlaps the selection.');
+        }
 
-            // Close temp doc
-            await tempDoc.closeWithoutSaving();
-            tempDoc = null;
+        // 3. Merge the blended tiles into one result layer
+        report(`Assembling ${tileLayers.length} tiles...`);
+        let mergedLayer = null;
+        let resultBase64 = null;
+        await runDocumentStep(request, () => core.executeAsModal(async () => {
             app.activeDocument = targetDoc;
-            targetDoc.activeLayers = [newLayer];
+            targetDoc.activeLayers = tileLayers;
+            if (tileLayers.length > 1) {
+                await action.batchPlay([{ _obj: "mergeLayersNew" }], {});
+            }
+            await action.batchPlay([{ _obj: "newPlacedLayer" }], {});
+            mergedLayer = targetDoc.activeLayers[0];
+            mergedLayer.name = 'Hi-res inpaint';
 
-            // Deselect any active selection to allow free transform
-            console.log(`${logPrefix} ✂️ Deselecting current selection to allow free transform...`);
+            const { options } = placement;
+            if (options.selectionMask) {
+                await applySelectionMaskToLayer(targetDoc, mergedLayer, options.selectionMask, selectionBounds, options.featherRadius || 0);
+            }
+            if (options.colorMatch) {
+                try {
+                    await applyToneMatch(targetDoc, mergedLayer, selectionBounds, options.colorMatch, options.selectionMask);
+                } catch (e) {
+                    console.warn(`${logPrefix} ⚠️ Colour match failed:`, e.message);
+                }
+            }
+
+            // Full-resolution copy for the history
+            const pixelData = await imaging.getPixels({
+                documentID: targetDoc.id,
+                layerID: mergedLayer.id,
+                colorSpace: "RGB",
+                componentSize: 8,
+                applyAlpha: true
+            });
             try {
-                targetDoc.selection.deselect();
-                console.log(`${logPrefix} ✅ Selection cleared.`);
+                resultBase64 = await imaging.encodeImageData({ "imageData": pixelData.imageData, "base64": true });
+            } finally {
+                pixelData.imageData.dispose();
+            }
+        }, { commandName: "Assemble High-Res Tiles" }));
+
+        console.log(`${logPrefix} ✅ Assembled ${tileLayers.length} tiles`);
+        const cost = tileCosts.every(tileCost => typeof tileCost === 'number') ? tileCosts.reduce((sum, tileCost) => sum + tileCost, 0) : null;
+        return { layer: mergedLayer, imageUrl: `data:image/jpeg;base64,${resultBase64}`, tileCount: tileLayers.length, cost };
+
+    } catch (error) {
+        // Don't leave half an assembly behind
+        if (tileLayers.length > 0) {
+            try {
+                await runDocumentStep(null, () => core.executeAsModal(async () => {
+                    for (const layer of tileLayers) {
+                        try {
+                            layer.delete();
+                        } catch (e) {
+                            console.warn(`${logPrefix} ⚠️ Could not remove tile layer:`, e.message);
+                        }
+                    }
+                }, { commandName: "Remove Partial Tiles" }));
             } catch (e) {
-                console.warn(`${logPrefix} ⚠️ Could not deselect selection:`, e.message);
+                console.warn(`${logPrefix} ⚠️ Could not remove partial tiles:`, e.message);
             }
+        }
+        throw error;
+    }
+}
 
-            // Convert to Smart Object FIRST (using UXP batchPlay API)
-            console.log(`${logPrefix} 🔧 Converting to Smart Object...`);
-            const smartObjectDesc = {
-                _obj: "newPlacedLayer"
-            };
-            await action.batchPlay([smartObjectDesc], {});
-            console.log(`${logPrefix} ✅ Layer converted to Smart Object`);
+// --- Modified imageToImageGenerate Function ---
+async function imageToImageGenerate() {
+    const logPrefix = "[imageToImageGenerate]";
+    console.log(`${logPrefix} 🚀 Function called`);
+    
+    // Get DOM elements
+    const apiKeyElement = document.getElementById('openrouter-api-key-input');
+    const promptElement = document.getElementById('prompt-img2img');
+    const img2imgBtn = document.getElementById('img2img-btn');
+    const previewImg = document.getElementById('generated-image');
+    const statusDiv = document.getElementById('status-img2img');
+    
+    console.log(`${logPrefix} 📍 DOM Elements:`, {
+        apiKeyElement: apiKeyElement ? '✅ Found' : '❌ NULL',
+        promptElement: promptElement ? '✅ Found' : '❌ NULL',
+        img2imgBtn: img2imgBtn ? '✅ Found' : '❌ NULL',
+        previewImg: previewImg ? '✅ Found' : '❌ NULL',
+        statusDiv: statusDiv ? '✅ Found' : '❌ NULL'
+    });
+    
+    // Check for critical null elements
+    if (!statusDiv) {
+        console.error(`${logPrefix} ❌ CRITICAL: status-img2img element not found in DOM`);
+        alert('UI Error: Status display element not found.');
+        return;
+    }
+    
+    if (!img2imgBtn) {
+        console.error(`${logPrefix} ❌ CRITICAL: img2img-btn element not found in DOM`);
+        statusDiv.textContent = '❌ Button not found.';
+        return;
+    }
+    
+    // Get values safely
+    let apiKey, prompt;
+    try {
+        const rawApiKey = apiKeyElement?.value;
+        apiKey = (rawApiKey !== null && rawApiKey !== undefined) ? String(rawApiKey).trim() : '';
+        console.log(`${logPrefix} API key retrieved:`, apiKey ? 'YES (length: ' + apiKey.length + ')' : 'NO/EMPTY');
+    } catch (e) {
+        console.error(`${logPrefix} ❌ Error getting API key:`, e);
+        apiKey = '';
+    }
+    
+    try {
+        const rawPrompt = promptElement?.value;
+        prompt = (rawPrompt !== null && rawPrompt !== undefined) ? String(rawPrompt).trim() : '';
+        console.log(`${logPrefix} Prompt retrieved:`, prompt ? 'YES (length: ' + prompt.length + ')' : 'NO/EMPTY');
+    } catch (e) {
+        console.error(`${logPrefix} ❌ Error getting prompt:`, e);
+        prompt = '';
+    }
 
-            // Get fresh reference to the layer (Smart Object conversion creates a new layer)
-            const smartLayer = targetDoc.activeLayers[0];
-            console.log(`${logPrefix} 🔄 Got fresh layer reference after Smart Object conversion`);
+    // Validation (a custom endpoint such as a local server may not need a key)
+    if (!apiKey && !isCustomEndpoint()) {
+        console.log(`${logPrefix} ⚠️ No API key provided`);
+        statusDiv.textContent = '❌ Please enter your OpenRouter API key in Settings';
+        alert('Please enter your OpenRouter API key in the Settings tab');
+        return;
+    }
 
-            // Get original layer bounds
-            const { left, top, right, bottom } = getLayerBounds(smartLayer);
-            const initW = right - left;
-            const initH = bottom - top;
-            console.log(`${logPrefix} 📏 Original layer size: ${initW} x ${initH}`);
-            console.log(`${logPrefix} 📍 Original layer position: left=${left}, top=${top}`);
+    if (!prompt) {
+        console.log(`${logPrefix} ⚠️ No prompt provided`);
+        alert('Please enter a transformation prompt');
+        return;
+    }
 
-            // Calculate target dimensions
-            const selW = targetBounds.right - targetBounds.left;
-            const selH = targetBounds.bottom - targetBounds.top;
-            const targetCenterX = targetBounds.left + selW / 2;
-            const targetCenterY = targetBounds.top + selH / 2;
-            console.log(`${logPrefix} 🎯 Target selection size: ${selW} x ${selH}`);
-            console.log(`${logPrefix} 🎯 Target center: (${targetCenterX}, ${targetCenterY})`);
+    console.log(`${logPrefix} ✅ Validations passed, capturing job snapshot...`);
 
-            // Calculate scale to match selection size (preserving aspect ratio)
-            const scaleX = (selW / initW) * 100;
-            const scaleY = (selH / initH) * 100;
-            
-            console.log(`${logPrefix} 📐 Scale factors: X=${scaleX.toFixed(2)}%, Y=${scaleY.toFixed(2)}%`);
+    // The selection and inputs are captured now; the queue may run the job much later
+    img2imgBtn.disabled = true;
+    try {
+        const snapshot = await runDocumentStep(null, () => snapshotInpaintJob(apiKey, prompt, statusDiv, logPrefix));
+        const job = enqueueJob({
+            kind: 'inpaint',
+            label: `Inpaint: ${prompt}`,
+            statusId: 'status-img2img',
+            run: (request, report) => runInpaintJob(snapshot, request, report)
+        });
+        statusDiv.textContent = `🕒 Queued as job #${job.id} · upload ${snapshot.payloadSummary}`;
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error caught:`, error);
+        statusDiv.textContent = `❌ Error: ${error.message}`;
+        alert(`Error generating image:\n\n${error.message}`);
+    } finally {
+        img2imgBtn.disabled = false;
+        console.log(`${logPrefix} 🏁 Function complete`);
+    }
+}
 
-            // Apply scale transformation
-            const transformDesc = {
-                _obj: "transform",
-                _target: [{ _ref: "layer", _enum: "ordinal", _value: "targetEnum" }],
-                freeTransform: true,
-                width: { _unit: "percentUnit", _value: scaleX },
-                height: { _unit: "percentUnit", _value: scaleY }
-            };
+/**
+ * Captures everything an inpaint job needs at enqueue time: the selection
+ * pixels and mask, the request body, placement and (in high-res mode) the tiles.
+ */
+async function snapshotInpaintJob(apiKey, prompt, statusDiv, logPrefix) {
+    // Extract the selected image as Base64 and capture bounds
+    console.log(`${logPrefix} 🖼️ Extracting selection...`);
+    statusDiv.textContent = 'Extracting selected image...';
+    const useContext = document.getElementById('image-context-img2img-checkbox')?.checked ?? false;
+    const contextMargin = useContext ? (parseInt(document.getElementById('setting-inpaint-context-margin')?.value, 10) || 0) : 0;
+    const extractionResult = await extractSelectionImage(contextMargin);
+    const inputImageBase64 = extractionResult.base64Image;
+    const originalSelectionBounds = extractionResult.selectionBounds;
+    const captureBounds = extractionResult.captureBounds;
+    const hasContext = captureBounds !== originalSelectionBounds;
+    console.log(`${logPrefix} ✅ Selection extracted, bounds:`, originalSelectionBounds, hasContext ? `(with ${contextMargin}px context)` : '');
+    
+    // Prepare the API call
+    console.log(`${logPrefix} 🌐 Preparing API request...`);
+    const inputImageUrl = `data:${extractionResult.inputMimeType};base64,${inputImageBase64}`;
+    console.log(`${logPrefix} 📦 Image data length:`, inputImageBase64.length);
+
+    // Get the image model from settings
+    const imageModelInput = document.getElementById('setting-image-model');
+    const imageModel = imageModelInput?.value || 'google/gemini-2.5-flash-image';
+    console.log(`${logPrefix} 🤖 Using model:`, imageModel);
+
+    // How the selection shape is passed on: as a separate mask image, as
+    // transparency in the input image, or not at all (rectangle only)
+    const maskMode = document.getElementById('setting-inpaint-mask-mode')?.value || 'mask';
+    console.log(`${logPrefix} 🎭 Mask mode:`, maskMode, extractionResult.maskBase64 ? '(shaped selection)' : '(rectangular selection)');
+
+    const content = [
+        { type: "text", text: prompt },
+        {
+            type: "image_url",
+            image_url: { url: inputImageUrl }
+        }
+    ];
+    // How the shape was actually sent, kept in the recipe so a regenerate sends it the same way
+    let sentMaskMode = null;
+
+    // Where the selection sits inside the captured image, as fractions of its size
+    let cropRect = null;
+    if (hasContext) {
+        // Pixel positions in the uploaded image, which may be downscaled
+        const captureW = extractionResult.inputSize.width;
+        const captureH = extractionResult.inputSize.height;
+        const inputScale = captureW / (captureBounds.right - captureBounds.left);
+        const editLeft = Math.round((originalSelectionBounds.left - captureBounds.left) * inputScale);
+        const editTop = Math.round((originalSelectionBounds.top - captureBounds.top) * inputScale);
+        const editRight = Math.round((originalSelectionBounds.right - captureBounds.left) * inputScale);
+        const editBottom = Math.round((originalSelectionBounds.bottom - captureBounds.top) * inputScale);
+        cropRect = {
+            left: editLeft / captureW,
+            top: editTop / captureH,
+            right: editRight / captureW,
+            bottom: editBottom / captureH
+        };
 
-            await action.batchPlay([transformDesc], {});
-            console.log(`${logPrefix} 🔧 Scale transform executed.`);
+        // The surroundings must stay visible, so transparency mode is not applied here
+        content[0].text = `${prompt}\n\nThe image shows the area to edit together with its surroundings for context. Edit only the region from (${editLeft}, ${editTop}) to (${editRight}, ${editBottom}) in pixels of this ${Math.round(captureW)}x${Math.round(captureH)} image, keep everything outside it unchanged and make the edit blend into the scene. Return an image with the same framing.`;
+        if (maskMode === 'mask') {
+            content[0].text += ' The second image is a mask of that region: white marks the pixels to change, black the pixels to keep.';
+            content.push({
+                type: "image_url",
+                image_url: { url: `data:image/png;base64,${extractionResult.maskBase64}` }
+            });
+            sentMaskMode = 'mask';
+        }
+    } else if (extractionResult.maskBase64 && maskMode === 'mask') {
+        content[0].text = `${prompt}\n\nThe second image is a mask of the area to edit: change only the pixels under its white area and keep the pixels under its black area exactly as they are.`;
+        content.push({
+            type: "image_url",
+            image_url: { url: `data:image/png;base64,${extractionResult.maskBase64}` }
+        });
+        sentMaskMode = 'mask';
+    } else if (extractionResult.maskedBase64 && maskMode === 'transparency') {
+        content[0].text = `${prompt}\n\nOnly the visible (non-transparent) pixels belong to the area to edit.`;
+        content[1].image_url.url = `data:image/png;base64,${extractionResult.maskedBase64}`;
+        sentMaskMode = 'transparency';
+    }
 
-            // Calculate position offset and translate
-            // Get the layer bounds after scaling
-            const scaledBounds = getLayerBounds(smartLayer);
-            const scaledCenterX = scaledBounds.left + (scaledBounds.right - scaledBounds.left) / 2;
-            const scaledCenterY = scaledBounds.top + (scaledBounds.bottom - scaledBounds.top) / 2;
-            
-            console.log(`${logPrefix} 📍 Scaled layer center: (${scaledCenterX.toFixed(2)}, ${scaledCenterY.toFixed(2)})`);
-            console.log(`${logPrefix} 🎯 Target center: (${targetCenterX.toFixed(2)}, ${targetCenterY.toFixed(2)})`);
-            
-            // Calculate offset needed to move to target position
-            const offsetX = targetCenterX - scaledCenterX;
-            const offsetY = targetCenterY - scaledCenterY;
-            
-            console.log(`${logPrefix} ➡️ Translation offset: X=${offsetX.toFixed(2)}px, Y=${offsetY.toFixed(2)}px`);
-            
-            // Translate the layer to the target position
-            if (offsetX !== 0 || offsetY !== 0) {
-                await smartLayer.translate(offsetX, offsetY);
-                console.log(`${logPrefix} 🔧 Layer translated to target position.`);
-            } else {
-                console.log(`${logPrefix} ℹ️ No translation needed, layer already at target position.`);
+    const params = readAdvancedParams();
+    const requestBody = applyAdvancedParams({
+        model: imageModel,
+        modalities: ["image", "text"],
+        messages: [
+            {
+                role: 'user',
+                content
             }
+        ]
+    }, params);
+    
+    // Measure the surroundings now, before any result changes the composite
+    let colorMatch = null;
+    if (document.getElementById('setting-inpaint-color-match')?.checked) {
+        statusDiv.textContent = 'Measuring surrounding colours...';
+        const reference = await measureBorderTone(originalSelectionBounds);
+        if (reference) {
+            colorMatch = { reference, addGrain: document.getElementById('setting-inpaint-grain-match')?.checked ?? false };
+        }
+    }
 
-            // Verify final bounds and position
-            const finalBounds = getLayerBounds(smartLayer);
-            const finalW = finalBounds.right - finalBounds.left;
-            const finalH = finalBounds.bottom - finalBounds.top;
-            const finalCenterX = finalBounds.left + finalW / 2;
-            const finalCenterY = finalBounds.top + finalH / 2;
+    const clipToSelection = document.getElementById('setting-inpaint-clip-mask')?.checked ?? true;
+    const featherRadius = parseInt(document.getElementById('setting-inpaint-feather')?.value, 10) || 0;
+    const placement = {
+        mode: 'inpaint',
+        documentID: app.activeDocument.id,
+        targetBounds: originalSelectionBounds,
+        options: {
+            selectionMask: clipToSelection ? extractionResult.selectionMask : null,
+            featherRadius,
+            cropRect,
+            colorMatch
+        }
+    };
 
-            console.log(`${logPrefix} ✅ Final layer bounds:`, finalBounds);
-            console.log(`${logPrefix} ✅ Final size: ${finalW.toFixed(1)} x ${finalH.toFixed(1)}`);
-            console.log(`${logPrefix} ✅ Final center: (${finalCenterX.toFixed(1)}, ${finalCenterY.toFixed(1)})`);
-            console.log(`${logPrefix} ✅ Expected size: ${selW} x ${selH}`);
+    const historyRecord = {
+        prompt,
+        model: imageModel,
+        mode: 'inpaint',
+        selectionBounds: originalSelectionBounds,
+        cropRect,
+        maskMode: sentMaskMode,
+        mask: sentMaskMode ? extractionResult.maskBase64 : null,
+        documentName: app.activeDocument?.title,
+        params
+    };
+
+    const snapshot = { apiKey, prompt, imageModel, requestBody, placement, historyRecord };
+    snapshot.variations = getVariationCount('variations-img2img');
+    const { width: inputW, height: inputH } = extractionResult.inputSize;
+    snapshot.payloadSummary = `${inputW}×${inputH} ${extractionResult.inputMimeType.split('/')[1].toUpperCase()}, ${formatPayloadSize(JSON.stringify(requestBody).length)}`;
+
+    // High-res mode: large selections are generated tile by tile at full resolution
+    const tileSize = parseInt(document.getElementById('setting-inpaint-tile-size')?.value, 10) || 1024;
+    const selectionLongSide = Math.max(
+        originalSelectionBounds.right - originalSelectionBounds.left,
+        originalSelectionBounds.bottom - originalSelectionBounds.top
+    );
+    if (document.getElementById('setting-inpaint-hires')?.checked && selectionLongSide > tileSize) {
+        const tiles = planSelectionTiles(originalSelectionBounds, tileSize);
+        statusDiv.textContent = `Capturing ${tiles.length} tiles...`;
+        snapshot.tiled = {
+            params,
+            maskMode,
+            selectionBounds: originalSelectionBounds,
+            selectionMask: extractionResult.selectionMask,
+            tiles,
+            ...(await captureSelectionTiles(originalSelectionBounds, tiles))
+        };
+        // Every tile request carries its tile plus the shared overview
+        const tileBytes = snapshot.tiled.tileImages.reduce((sum, tileImage) => sum + tileImage.length + snapshot.tiled.overviewBase64.length, 0);
+        snapshot.payloadSummary = `${tiles.length} tiles, ${formatPayloadSize(tileBytes)} in total`;
+
+        // Tiles only send masks; the recipe keeps one for the whole selection
+        const { selectionMask } = extractionResult;
+        if (!selectionMask.isRectangular && maskMode === 'mask') {
+            const scale = Math.min(1, REGENERATE_MAX_INPUT / Math.max(selectionMask.width, selectionMask.height));
+            const recipeMask = resizeSelectionMask(selectionMask, Math.max(1, Math.round(selectionMask.width * scale)), Math.max(1, Math.round(selectionMask.height * scale)));
+            snapshot.tiledMask = { maskMode: 'mask', mask: await encodeSelectionMask(recipeMask) };
+        } else {
+            snapshot.tiledMask = { maskMode: null, mask: null };
+        }
+    }
+    return snapshot;
+}
+
+async function runInpaintJob(snapshot, request, report) {
+    const logPrefix = "[runInpaintJob]";
+    const { apiKey, prompt, imageModel, requestBody, variations, placement, historyRecord } = snapshot;
+    const previewImg = document.getElementById('generated-image');
+
+    if (snapshot.tiled) {
+        const tiled = await generateTiledInpaint({ apiKey, prompt, imageModel, placement, ...snapshot.tiled, request, report });
+        const runRecord = { ...historyRecord, cropRect: null, ...snapshot.tiledMask, generations: [{ id: null, cost: tiled.cost }] };
+        const historyIds = await recordGenerationResults([tiled.imageUrl], runRecord);
+        await runDocumentStep(null, async () => {
+            await tagGeneratedLayer(tiled.layer, describeGenerationResult(runRecord));
+            if (historyIds[0]) await attachHistoryThumbnail(historyIds[0], tiled.layer);
+        });
+        report(`✅ Success! High-res result assembled from ${tiled.tileCount} tiles`);
+        return;
+    }
+
+    const budget = assertWithinBudget(imageModel, variations);
+    request.budgetReservation = budget;
+    const { imageUrls, seeds, generations } = await runNetworkStep(request, (signal) => {
+        report(variations > 1
+            ? `Sending ${variations} requests to OpenRouter API (${snapshot.payloadSummary} each)...`
+            : `Sending request to OpenRouter API (${snapshot.payloadSummary})...`);
+        console.log(`${logPrefix} 📤 Sending ${variations} request(s) to API...`);
+        return requestImageVariations(apiKey, requestBody, variations, logPrefix, signal, 'inpaint', budget);
+    });
+
+    // A job cancelled or timed out while waiting must never reach the document
+    throwIfCancelled(request);
+    const runRecord = { ...historyRecord, seeds, generations };
+    const results = imageUrls.map((_, index) => describeGenerationResult(runRecord, index));
+    const historyIds = await recordGenerationResults(imageUrls, runRecord);
+    // Saving to the history takes a while: don't place or offer the results if cancelled meanwhile
+    throwIfCancelled(request);
+
+    // Display preview
+    if (previewImg) {
+        previewImg.src = imageUrls[0];
+        previewImg.style.display = 'block';
+    }
+
+    // Several candidates: let the user pick in the gallery instead of placing all of them
+    if (imageUrls.length > 1) {
+        const shown = showGallery(imageUrls, placement, historyIds, results);
+        report(shown
+            ? `✅ ${imageUrls.length} candidates ready. Pick one in the gallery.`
+            : `✅ ${imageUrls.length} candidates ready. They show in the gallery once the current candidates are placed or discarded.`);
+        return;
+    }
+
+    report('Adding and transforming in Photoshop...');
+    await runDocumentStep(request, () => placeCandidate(imageUrls[0], placement, historyIds[0], results[0]));
+    console.log(`${logPrefix} ✅ Image added and transformed successfully`);
+    report('✅ Success! Image added and transformed');
+}
+
+// --- Outpainting ---
+
+// Minimum width of the original image strip sent along with the empty area
+const OUTPAINT_EDGE_STRIP = 256;
+
+// Width of the fade from the fill into the original pixels
+const OUTPAINT_BLEND = 48;
+
+// Longest side of the image sent to the model
+const OUTPAINT_MAX_INPUT = 2048;
+
+/**
+ * How many pixels to add on each side of a width x height canvas.
+ * @param {'left'|'right'|'top'|'bottom'|'all'} direction
+ * @param {{mode: 'pixels'|'ratio', amount?: number, ratio?: number}} size
+ * @returns {{left: number, top: number, right: number, bottom: number}}
+ */
+function computeOutpaintExtension(width, height, direction, size) {
+    const extension = { left: 0, top: 0, right: 0, bottom: 0 };
+
+    if (size.mode === 'pixels') {
+        const amount = Math.round(size.amount);
+        if (!(amount > 0)) throw new Error('Please enter how many pixels to extend by.');
+        if (direction === 'all') {
+            extension.left = extension.top = extension.right = extension.bottom = amount;
+        } else {
+            extension[direction] = amount;
+        }
+        return extension;
+    }
+
+    // Target aspect ratio: grow only the dimension that is too short
+    const horizontal = direction === 'left' || direction === 'right';
+    const vertical = direction === 'top' || direction === 'bottom';
+    const targetWidth = Math.round(height * size.ratio);
+    const targetHeight = Math.round(width / size.ratio);
+
+    if (horizontal || (direction === 'all' && targetWidth > width)) {
+        const extra = targetWidth - width;
+        if (extra <= 0) throw new Error('The image is already at least that wide. Pick a wider ratio or extend vertically.');
+        if (horizontal) {
+            extension[direction] = extra;
+        } else {
+            extension.left = extension.right = Math.ceil(extra / 2);
+        }
+    } else if (vertical || (direction === 'all' && targetHeight > height)) {
+        const extra = targetHeight - height;
+        if (extra <= 0) throw new Error('The image is already at least that tall. Pick a taller ratio or extend horizontally.');
+        if (vertical) {
+            extension[direction] = extra;
+        } else {
+            extension.top = extension.bottom = Math.ceil(extra / 2);
+        }
+    } else {
+        throw new Error('The image already has that aspect ratio.');
+    }
+    return extension;
+}
+
+function getOutpaintAnchor(extension) {
+    const vertical = extension.top && extension.bottom ? 'MIDDLE' : extension.top ? 'BOTTOM' : extension.bottom ? 'TOP' : 'MIDDLE';
+    const horizontal = extension.left && extension.right ? 'CENTER' : extension.left ? 'RIGHT' : extension.right ? 'LEFT' : 'CENTER';
+    return constants.AnchorPosition[`${vertical}${horizontal}`];
+}
+
+/**
+ * Works out the area sent to the model: the extension plus a strip of the
+ * original image along every extended edge, in original (strip) and enlarged
+ * (region) canvas coordinates.
+ */
+function planOutpaintRegion(width, height, extension) {
+    const stripX = Math.min(width, Math.max(OUTPAINT_EDGE_STRIP, extension.left, extension.right));
+    const stripY = Math.min(height, Math.max(OUTPAINT_EDGE_STRIP, extension.top, extension.bottom));
+
+    // Strip of original pixels next to the extended edges (original canvas coordinates)
+    const strip = {
+        left: extension.left || !extension.right ? 0 : width - stripX,
+        right: extension.right || !extension.left ? width : stripX,
+        top: extension.top || !extension.bottom ? 0 : height - stripY,
+        bottom: extension.bottom || !extension.top ? height : stripY
+    };
 
-            // Bring layer to front
-            await smartLayer.bringToFront();
-            console.log(`${logPrefix} ⬆️ Layer brought to front`);
+    // Same strip plus the new empty area (enlarged canvas coordinates). The
+    // strip starts at 0 on every extended left/top edge, so only the far sides grow.
+    const region = {
+        left: strip.left,
+        top: strip.top,
+        right: strip.right + extension.left + extension.right,
+        bottom: strip.bottom + extension.top + extension.bottom
+    };
 
-        }, { commandName: "Add and Transform Generated Image" });
+    // Where the original image sits inside the region
+    const original = {
+        left: extension.left,
+        top: extension.top,
+        right: extension.left + width,
+        bottom: extension.top + height
+    };
+    return { strip, region, original };
+}
 
-        console.log(`${logPrefix} ✅ Image added and transformed successfully.`);
+/**
+ * Layer mask for the fill: fully visible over the new canvas area, fading out
+ * over OUTPAINT_BLEND pixels into the original image along the extended edges.
+ */
+function buildOutpaintBlendMask(region, original, extension) {
+    const width = region.right - region.left;
+    const height = region.bottom - region.top;
+    const data = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const docY = region.top + y;
+        for (let x = 0; x < width; x++) {
+            const docX = region.left + x;
+            if (docX < original.left || docX >= original.right || docY < original.top || docY >= original.bottom) {
+                data[y * width + x] = 255;
+                continue;
+            }
+            // Distance into the original image from the nearest extended edge
+            let distance = Infinity;
+            if (extension.left) distance = Math.min(distance, docX - original.left);
+            if (extension.right) distance = Math.min(distance, original.right - 1 - docX);
+            if (extension.top) distance = Math.min(distance, docY - original.top);
+            if (extension.bottom) distance = Math.min(distance, original.bottom - 1 - docY);
+            data[y * width + x] = Math.round(255 * Math.max(0, 1 - (distance + 0.5) / OUTPAINT_BLEND));
+        }
+    }
+    return { data, width, height, isRectangular: false };
+}
 
-    } catch (error) {
-        console.error(`${logPrefix} ❌ Error:`, error);
-        if (tempDoc) try { await tempDoc.closeWithoutSaving(); } catch {}
-        throw error;
+/**
+ * Builds the model input without touching the document: the edge strip on a
+ * transparent canvas the size of the region, plus a mask of the empty area.
+ * @returns {Promise<{imageBase64: string, maskBase64: string, width: number, height: number}>}
+ */
+async function captureOutpaintInput(doc, plan) {
+    const { strip, region, original } = plan;
+    const regionW = region.right - region.left;
+    const regionH = region.bottom - region.top;
+    const scale = Math.min(1, OUTPAINT_MAX_INPUT / Math.max(regionW, regionH));
+    const width = Math.max(1, Math.round(regionW * scale));
+    const height = Math.max(1, Math.round(regionH * scale));
+    const stripX = Math.round((strip.left + original.left - region.left) * scale);
+    const stripY = Math.round((strip.top + original.top - region.top) * scale);
+
+    let result = null;
+    await core.executeAsModal(async () => {
+        const pixelData = await imaging.getPixels({
+            documentID: doc.id,
+            sourceBounds: strip,
+            targetSize: {
+                width: Math.max(1, Math.round((strip.right - strip.left) * scale)),
+                height: Math.max(1, Math.round((strip.bottom - strip.top) * scale))
+            },
+            colorSpace: "RGB",
+            componentSize: 8,
+            applyAlpha: true
+        });
 
-    } finally {
-        if (tempFile) {
+        try {
+            const { width: stripW, height: stripH, components } = pixelData.imageData;
+            const pixels = await pixelData.imageData.getData({ chunky: true });
+            const rgba = new Uint8Array(width * height * 4);
+            const mask = new Uint8Array(width * height).fill(255);
+
+            for (let y = 0; y < stripH && stripY + y < height; y++) {
+                for (let x = 0; x < stripW && stripX + x < width; x++) {
+                    const src = (y * stripW + x) * components;
+                    const dst = (stripY + y) * width + stripX + x;
+                    rgba[dst * 4] = pixels[src];
+                    rgba[dst * 4 + 1] = pixels[src + 1];
+                    rgba[dst * 4 + 2] = pixels[src + 2];
+                    rgba[dst * 4 + 3] = components === 4 ? pixels[src + 3] : 255;
+                    mask[dst] = 0;
+                }
+            }
+
+            const inputImageData = await imaging.createImageDataFromBuffer(rgba, {
+                width,
+                height,
+                components: 4,
+                chunky: true,
+                colorSpace: "RGB",
+                colorProfile: "sRGB IEC61966-2.1"
+            });
             try {
-                await new Promise(resolve => setTimeout(resolve, 500));
-                await tempFile.delete();
-                console.log(`${logPrefix} 🧹 Temp file cleaned up.`);
-            } catch (e) {
-                console.warn(`${logPrefix} ⚠️ Could not delete temp file: ${e.message}`);
+                const imageBase64 = await imaging.encodeImageData({
+                    "imageData": inputImageData,
+                    "base64": true,
+                    "outputFormat": "png"
+                });
+                const maskBase64 = await encodeSelectionMask({ data: mask, width, height });
+                result = { imageBase64, maskBase64, width, height };
+            } finally {
+                inputImageData.dispose();
             }
+        } finally {
+            pixelData.imageData.dispose();
         }
-    }
+    }, { commandName: "Capture Outpaint Edge" });
+
+    return result;
 }
-// --- Modified imageToImageGenerate Function ---
-async function imageToImageGenerate() {
-    const logPrefix = "[imageToImageGenerate]";
+
+async function outpaintGenerate() {
+    const logPrefix = "[outpaintGenerate]";
     console.log(`${logPrefix} 🚀 Function called`);
-    
-    // Get DOM elements
-    const apiKeyElement = document.getElementById('openrouter-api-key-input');
-    const promptElement = document.getElementById('prompt-img2img');
-    const img2imgBtn = document.getElementById('img2img-btn');
-    const previewImg = document.getElementById('generated-image');
-    const statusDiv = document.getElementById('status-img2img');
-    
-    console.log(`${logPrefix} 📍 DOM Elements:`, {
-        apiKeyElement: apiKeyElement ? '✅ Found' : '❌ NULL',
-        promptElement: promptElement ? '✅ Found' : '❌ NULL',
-        img2imgBtn: img2imgBtn ? '✅ Found' : '❌ NULL',
-        previewImg: previewImg ? '✅ Found' : '❌ NULL',
-        statusDiv: statusDiv ? '✅ Found' : '❌ NULL'
-    });
-    
-    // Check for critical null elements
-    if (!statusDiv) {
-        console.error(`${logPrefix} ❌ CRITICAL: status-img2img element not found in DOM`);
-        alert('UI Error: Status display element not found.');
-        return;
-    }
-    
-    if (!img2imgBtn) {
-        console.error(`${logPrefix} ❌ CRITICAL: img2img-btn element not found in DOM`);
-        statusDiv.textContent = '❌ Button not found.';
+
+    const outpaintBtn = document.getElementById('outpaint-btn');
+    const statusDiv = document.getElementById('status-outpaint');
+    if (!statusDiv || !outpaintBtn) {
+        console.error(`${logPrefix} ❌ CRITICAL: outpaint controls not found in DOM`);
         return;
     }
-    
-    // Get values safely
-    let apiKey, prompt;
-    try {
-        const rawApiKey = apiKeyElement?.value;
-        apiKey = (rawApiKey !== null && rawApiKey !== undefined) ? String(rawApiKey).trim() : '';
-        console.log(`${logPrefix} API key retrieved:`, apiKey ? 'YES (length: ' + apiKey.length + ')' : 'NO/EMPTY');
-    } catch (e) {
-        console.error(`${logPrefix} ❌ Error getting API key:`, e);
-        apiKey = '';
-    }
-    
-    try {
-        const rawPrompt = promptElement?.value;
-        prompt = (rawPrompt !== null && rawPrompt !== undefined) ? String(rawPrompt).trim() : '';
-        console.log(`${logPrefix} Prompt retrieved:`, prompt ? 'YES (length: ' + prompt.length + ')' : 'NO/EMPTY');
-    } catch (e) {
-        console.error(`${logPrefix} ❌ Error getting prompt:`, e);
-        prompt = '';
-    }
 
-    // Validation
-    if (!apiKey) {
-        console.log(`${logPrefix} ⚠️ No API key provided`);
+    const apiKey = (document.getElementById('openrouter-api-key-input')?.value || '').trim();
+    if (!apiKey && !isCustomEndpoint()) {
         statusDiv.textContent = '❌ Please enter your OpenRouter API key in Settings';
         alert('Please enter your OpenRouter API key in the Settings tab');
         return;
     }
 
-    if (!prompt) {
-        console.log(`${logPrefix} ⚠️ No prompt provided`);
-        alert('Please enter a transformation prompt');
+    const doc = app.activeDocument;
+    if (!doc) {
+        statusDiv.textContent = '❌ No active document open.';
         return;
     }
 
-    console.log(`${logPrefix} ✅ Validations passed, starting generation...`);
+    const prompt = (document.getElementById('prompt-outpaint')?.value || '').trim();
+    const direction = document.getElementById('outpaint-direction')?.value || 'right';
+    const sizeMode = document.getElementById('outpaint-size-mode')?.value || 'pixels';
+    const ratioEntry = aspectRatioPresets[parseInt(document.getElementById('outpaint-ratio-select')?.value, 10) || 0];
 
-    let finalImageUrl = null;
-    let originalSelectionBounds = null;
-    
+    let extension;
+    const width = Math.round(safeAsPx(doc.width));
+    const height = Math.round(safeAsPx(doc.height));
     try {
-        // Update UI
-        console.log(`${logPrefix} 🔄 Updating UI...`);
-        img2imgBtn.disabled = true;
-        img2imgBtn.textContent = 'Processing...';
-
-        // 1. Extract the selected image as Base64 and capture bounds
-        console.log(`${logPrefix} 🖼️ Step 1: Extracting selection...`);
-        statusDiv.textContent = '1/3. Extracting selected image...';
-        const extractionResult = await extractSelectionImage();
-        const inputImageBase64 = extractionResult.base64Image;
-        originalSelectionBounds = extractionResult.selectionBounds;
-        console.log(`${logPrefix} ✅ Selection extracted, bounds:`, originalSelectionBounds);
-        
-        // 2. Prepare the API call
-        console.log(`${logPrefix} 🌐 Step 2: Preparing API request...`);
-        statusDiv.textContent = '2/3. Sending request to OpenRouter API...';
-        
-        const inputImageUrl = `data:image/png;base64,${inputImageBase64}`;
-        console.log(`${logPrefix} 📦 Image data length:`, inputImageBase64.length);
-
-        // Get the image model from settings
-        const imageModelInput = document.getElementById('setting-image-model');
-        const imageModel = imageModelInput?.value || 'google/gemini-2.5-flash-image';
-        console.log(`${logPrefix} 🤖 Using model:`, imageModel);
-        
-        const requestBody = {
-            model: imageModel,
-            modalities: ["image", "text"],
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        { type: "text", text: prompt },
-                        { 
-                            type: "image_url", 
-                            image_url: { url: inputImageUrl } 
-                        }
-                    ]
-                }
-            ]
-        };
-        
-        console.log(`${logPrefix} 📤 Sending request to API...`);
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
+        extension = computeOutpaintExtension(width, height, direction, {
+            mode: sizeMode,
+            amount: parseInt(document.getElementById('outpaint-amount')?.value, 10),
+            ratio: ratioEntry?.ratio
         });
+    } catch (error) {
+        statusDiv.textContent = `❌ ${error.message}`;
+        return;
+    }
+    const plan = planOutpaintRegion(width, height, extension);
+    console.log(`${logPrefix} 📐 Extension:`, extension, 'region:', plan.region);
 
-        console.log(`${logPrefix} 📥 Response received:`, {
-            status: response.status,
-            statusText: response.statusText,
-            ok: response.ok
+    // Capture the edge strip now; the document stays untouched until the job's result arrives
+    outpaintBtn.disabled = true;
+    try {
+        statusDiv.textContent = 'Capturing image edge...';
+        const input = await runDocumentStep(null, () => captureOutpaintInput(doc, plan));
+        const imageModel = document.getElementById('setting-image-model')?.value || 'google/gemini-2.5-flash-image';
+        const snapshot = { apiKey, prompt, imageModel, documentID: doc.id, documentName: doc.title, width, height, extension, plan, input };
+
+        const job = enqueueJob({
+            kind: 'outpaint',
+            label: `Outpaint ${direction}: ${prompt || '(no prompt)'}`,
+            statusId: 'status-outpaint',
+            run: (request, report) => runOutpaintJob(snapshot, request, report)
         });
+        statusDiv.textContent = `🕒 Queued as job #${job.id}`;
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error caught:`, error);
+        statusDiv.textContent = `❌ Error: ${error.message}`;
+        alert(`Error extending canvas:\n\n${error.message}`);
+    } finally {
+        outpaintBtn.disabled = false;
+    }
+}
 
-        // Check response status
-        if (!response.ok) {
-            console.error(`${logPrefix} ❌ API request failed`);
-            const errorData = await response.json().catch(() => ({}));
-            console.error(`${logPrefix} ❌ Error data:`, errorData);
-            const errorMessage = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-            throw new Error(`API Error: ${errorMessage}`);
+async function runOutpaintJob(snapshot, request, report) {
+    const logPrefix = "[runOutpaintJob]";
+    const { apiKey, prompt, imageModel, width, height, extension, plan, input } = snapshot;
+
+    // Ask the model to fill the empty area
+    const budget = assertWithinBudget(imageModel);
+    request.budgetReservation = budget;
+
+    const instructions = `The first image is the edge of a picture on a ${input.width}x${input.height} canvas; the transparent area is new empty canvas. The second image is a mask: fill the white area, continuing the scene seamlessly across the edge, and keep the black area exactly as it is. Return the whole ${input.width}x${input.height} canvas.`;
+    const requestBody = {
+        model: imageModel,
+        modalities: ["image", "text"],
+        messages: [{
+            role: 'user',
+            content: [
+                { type: "text", text: prompt ? `${prompt}\n\n${instructions}` : instructions },
+                { type: "image_url", image_url: { url: `data:image/png;base64,${input.imageBase64}` } },
+                { type: "image_url", image_url: { url: `data:image/png;base64,${input.maskBase64}` } }
+            ]
+        }]
+    };
+    const { imageUrls, generation } = await runNetworkStep(request, (signal) => {
+        report('Sending request to OpenRouter API...');
+        return requestImageCompletion(apiKey, requestBody, logPrefix, signal, 'outpaint', budget);
+    });
+    throwIfCancelled(request);
+
+    const runRecord = {
+        prompt,
+        model: imageModel,
+        mode: 'outpaint',
+        selectionBounds: plan.region,
+        documentName: snapshot.documentName,
+        generations: [generation]
+    };
+    const historyIds = await recordGenerationResults([imageUrls[0]], runRecord);
+    throwIfCancelled(request);
+
+    await runDocumentStep(request, async () => {
+        // The plan only lines up with the canvas it was made for
+        const doc = resolveTargetDocument(snapshot.documentID);
+        if (Math.round(safeAsPx(doc.width)) !== width || Math.round(safeAsPx(doc.height)) !== height) {
+            throw new Error('The document size changed since this job was queued. Queue the outpaint again.');
         }
 
-        console.log(`${logPrefix} 🔄 Processing response...`);
-        statusDiv.textContent = '2/3. Processing API response...';
-        const data = await response.json();
-        console.log(`${logPrefix} 📦 Response data:`, data);
-        
-        // 3. Extract the generated image URL from the response
-        if (data.choices && data.choices[0] && data.choices[0].message) {
-            const message = data.choices[0].message;
-            console.log(`${logPrefix} 📨 Message received:`, message);
-            
-            if (message.images && message.images[0] && message.images[0].image_url) {
-                finalImageUrl = message.images[0].image_url.url;
-                console.log(`${logPrefix} ✅ Image URL extracted from message.images`);
-            } else if (Array.isArray(message.content)) {
-                console.log(`${logPrefix} 🔍 Checking content array...`);
-                for (const item of message.content) {
-                    if (item.type === 'image_url' && item.image_url && item.image_url.url) {
-                        finalImageUrl = item.image_url.url;
-                        console.log(`${logPrefix} ✅ Image URL extracted from content array`);
-                        break;
-                    }
-                }
-            } else if (typeof message.content === 'string' && message.content.startsWith('data:image')) {
-                finalImageUrl = message.content;
-                console.log(`${logPrefix} ✅ Image URL extracted from string content`);
-            }
+        // Enlarge the canvas and place the fill over the region so it lines up with the edge
+        report('Extending canvas and placing fill...');
+        await core.executeAsModal(async () => {
+            app.activeDocument = doc;
+            await doc.resizeCanvas(width + extension.left + extension.right, height + extension.top + extension.bottom, getOutpaintAnchor(extension));
+        }, { commandName: "Extend Canvas" });
+        console.log(`${logPrefix} 🖼️ Canvas extended`);
 
-            if (!finalImageUrl) {
-                console.error(`${logPrefix} ❌ No image URL found in response`);
-                console.error(`${logPrefix} Full response:`, JSON.stringify(data, null, 2));
-                throw new Error('No image data found in API response. Check console for details.');
-            }
-            
-            console.log(`${logPrefix} 🖼️ Image URL length:`, finalImageUrl.length);
-            
-            // Display preview 
-            if (previewImg) {
-                console.log(`${logPrefix} 🔄 Setting preview...`);
-                previewImg.src = finalImageUrl;
-                previewImg.style.display = 'block';
+        let layer;
+        try {
+            layer = await addImageToPhotoshopWithTransform(imageUrls[0], plan.region, {
+                selectionMask: buildOutpaintBlendMask(plan.region, plan.original, extension),
+                featherRadius: 0,
+                documentID: snapshot.documentID
+            });
+        } catch (error) {
+            // Without the fill the extra canvas is just empty: shrink it back
+            try {
+                await core.executeAsModal(async () => {
+                    app.activeDocument = doc;
+                    await doc.crop({ left: extension.left, top: extension.top, right: extension.left + width, bottom: extension.top + height });
+                }, { commandName: "Restore Canvas Size" });
+                console.log(`${logPrefix} ↩️ Canvas restored to ${width}x${height}`);
+            } catch (e) {
+                console.warn(`${logPrefix} ⚠️ Could not restore the canvas size:`, e.message);
             }
-            
-            // 4. Add the generated image to Photoshop and TRANSFORM
-            console.log(`${logPrefix} 🔄 Step 3: Adding to Photoshop...`);
-            statusDiv.textContent = '3/3. Adding and transforming in Photoshop...';
-            await addImageToPhotoshopWithTransform(finalImageUrl, originalSelectionBounds);
-            console.log(`${logPrefix} ✅ Image added and transformed successfully`);
-
-            statusDiv.textContent = '✅ Success! Image added and transformed';
-
-        } else {
-            console.error(`${logPrefix} ❌ Invalid response structure`);
-            console.error(`${logPrefix} Full response:`, JSON.stringify(data, null, 2));
-            throw new Error('Invalid API response format: missing choices or message');
+            throw error;
         }
+        if (layer) await tagGeneratedLayer(layer, describeGenerationResult(runRecord));
+        if (historyIds[0] && layer) await attachHistoryThumbnail(historyIds[0], layer);
+    });
 
-    } catch (error) {
-        console.error(`${logPrefix} ❌ Error caught:`, error);
-        console.error(`${logPrefix} ❌ Error type:`, error.constructor.name);
-        console.error(`${logPrefix} ❌ Error message:`, error.message);
-        console.error(`${logPrefix} ❌ Error stack:`, error.stack);
-        
-        statusDiv.textContent = `❌ Error: ${error.message}`;
-        alert(`Error generating image:\n\n${error.message}`);
-    } finally {
-        console.log(`${logPrefix} 🔄 Restoring UI...`);
-        img2imgBtn.disabled = false;
-        img2imgBtn.textContent = 'Generate Inpainting';
-        console.log(`${logPrefix} 🏁 Function complete`);
-    }
+    report('✅ Success! Canvas extended');
 }
 
 // --- Corrected scaleSelectionByPercent Function ---
@@ -1107,7 +5967,7 @@ async function addSelectionToDocument() {
         const selectedIndex = selectElement.value;
         console.log(`${logPrefix} 📊 Selected aspect ratio index:`, selectedIndex);
         
-        const selectedRatio = SUPPORTED_ASPECT_RATIOS[selectedIndex];
+        const selectedRatio = aspectRatioPresets[selectedIndex];
         console.log(`${logPrefix} 📊 Selected ratio object:`, selectedRatio);
 
         if (!selectedRatio) {
@@ -1355,6 +6215,7 @@ async function generateImage() {
     
     const statusDiv = document.getElementById('status');
     console.log(`${logPrefix} status element:`, statusDiv);
+
     
     // Now try to get values
     console.log(`${logPrefix} 🔍 Attempting to get values...`);
@@ -1413,8 +6274,8 @@ async function generateImage() {
         return;
     }
 
-    // Validation
-    if (!apiKey) {
+    // Validation (a custom endpoint such as a local server may not need a key)
+    if (!apiKey && !isCustomEndpoint()) {
         console.log(`${logPrefix} ⚠️ No API key provided`);
         statusDiv.textContent = '❌ Please enter your OpenRouter API key in the Settings tab';
         alert('Please enter your OpenRouter API key in the Settings tab');
@@ -1429,166 +6290,161 @@ async function generateImage() {
 
     console.log(`${logPrefix} ✅ All validations passed, proceeding with generation...`);
 
+    // Inputs (and the context image) are captured now; the queue may run the job much later
+    generateBtn.disabled = true;
     try {
-        // Update UI
-        console.log(`${logPrefix} 🔄 Updating UI state to generating...`);
-        generateBtn.disabled = true;
-        generateBtn.textContent = 'Generating...';
-        statusDiv.textContent = 'Sending request to OpenRouter API...';
-        
-        // Get selected aspect ratio from dropdown
-        const imageSizeSelect = document.getElementById('image-size-select');
-        const selectedRatioName = imageSizeSelect?.value || '';
-        console.log(`${logPrefix} 📐 Image size select:`, {
-            element: imageSizeSelect ? '✅ Found' : '❌ NULL',
-            selectedRatio: selectedRatioName || 'None selected'
-        });
-        
-        const requestBody = {
-            model: 'google/gemini-2.5-flash-image-preview',
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            modalities: ['image', 'text']
-        };
-
-        // Add image_config with aspect ratio if a ratio is selected
-        if (selectedRatioName) {
-            requestBody.image_config = {
-                aspect_ratio: selectedRatioName
-            };
-            console.log(`${logPrefix} 📐 Added aspect_ratio to request:`, selectedRatioName);
-        }
-        
-        // Get the image model from settings
-        const imageModelInput = document.getElementById('setting-image-model');
-        const imageModel = imageModelInput?.value || 'google/gemini-2.5-flash-image';
-        requestBody.model = imageModel;
-        console.log(`${logPrefix} 🤖 Using model:`, imageModel);
-        console.log(`${logPrefix} 📤 Request body:`, JSON.stringify(requestBody, null, 2));
-        
-        console.log(`${logPrefix} 🌐 Sending API request...`);
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
+        const snapshot = await runDocumentStep(null, () => snapshotT2iJob(apiKey, prompt, statusDiv, logPrefix));
+        const job = enqueueJob({
+            kind: 't2i',
+            label: `T2I: ${prompt}`,
+            statusId: 'status',
+            run: (request, report) => runT2iJob(snapshot, request, report)
         });
+        statusDiv.textContent = snapshot.warning
+            ? `🕒 Queued as job #${job.id} · ⚠️ ${snapshot.warning}`
+            : `🕒 Queued as job #${job.id}`;
+    } catch (error) {
+        console.error(`${logPrefix} ❌ Error caught:`, error);
+        statusDiv.textContent = `❌ Error: ${error.message}`;
+        alert(`Error generating image:\n\n${error.message}`);
+    } finally {
+        generateBtn.disabled = false;
+    }
+}
 
-        console.log(`${logPrefix} 📥 Response received:`, {
-            status: response.status,
-            statusText: response.statusText,
-            ok: response.ok
-        });
+/**
+ * Captures everything a text-to-image job needs at enqueue time: target
+ * document, request body (with the context image when enabled) and variations.
+ */
+async function snapshotT2iJob(apiKey, prompt, statusDiv, logPrefix) {
+    // Get selected aspect ratio from dropdown
+    const imageSizeSelect = document.getElementById('image-size-select');
+    const selectedRatioName = imageSizeSelect?.value || '';
+    console.log(`${logPrefix} 📐 Image size select:`, {
+        element: imageSizeSelect ? '✅ Found' : '❌ NULL',
+        selectedRatio: selectedRatioName || 'None selected'
+    });
 
-        // Check response status
-        if (!response.ok) {
-            console.error(`${logPrefix} ❌ API request failed with status:`, response.status);
-            const errorData = await response.json().catch(() => ({}));
-            console.error(`${logPrefix} ❌ Error data:`, errorData);
-            const errorMessage = errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
-            throw new Error(`API Error: ${errorMessage}`);
-        }
+    // Context toggle: send the document (or selection) so the result matches the piece
+    let messageContent = prompt;
+    const imageContextCheckbox = document.getElementById('image-context-checkbox');
+    if (imageContextCheckbox?.checked) {
+        statusDiv.textContent = 'Capturing document context...';
+        const context = await extractDocumentContextImage();
+        console.log(`${logPrefix} 🖼️ Attaching ${context.fromSelection ? 'selection' : 'document'} as reference image`);
+
+        messageContent = [
+            { type: 'text', text: `${prompt}\n\nUse the attached image as a reference: match its composition, lighting and style.` },
+            { type: 'image_url', image_url: { url: `data:image/png;base64,${context.base64Image}` } }
+        ];
+    }
 
-        console.log(`${logPrefix} 🔄 Processing API response...`);
-        statusDiv.textContent = 'Processing API response...';
-        const data = await response.json();
-        console.log(`${logPrefix} 📦 Parsed response data:`, data);
-        
-        let imageUrl = null;
+    // Get the image model from settings
+    const imageModel = document.getElementById('setting-image-model')?.value || 'google/gemini-2.5-flash-image';
+    console.log(`${logPrefix} 🤖 Using model:`, imageModel);
 
-        // Extract image from response
-        if (data.choices && data.choices[0] && data.choices[0].message) {
-            const message = data.choices[0].message;
-            console.log(`${logPrefix} 📨 Message object:`, message);
-            
-            // Various methods to extract image
-            if (message.images && Array.isArray(message.images) && message.images.length > 0) {
-                console.log(`${logPrefix} 🔍 Found images array with ${message.images.length} items`);
-                if (message.images[0].image_url && message.images[0].image_url.url) {
-                    imageUrl = message.images[0].image_url.url;
-                    console.log(`${logPrefix} ✅ Extracted imageUrl from message.images[0].image_url.url`);
-                }
-            } else if (Array.isArray(message.content)) {
-                console.log(`${logPrefix} 🔍 Message content is array with ${message.content.length} items`);
-                for (const item of message.content) {
-                    console.log(`${logPrefix} 🔍 Checking content item:`, item);
-                    if (item.type === 'image_url' && item.image_url && item.image_url.url) {
-                        imageUrl = item.image_url.url;
-                        console.log(`${logPrefix} ✅ Extracted imageUrl from content array`);
-                        break;
-                    }
-                }
-            } else if (typeof message.content === 'string' && message.content.startsWith('data:image')) {
-                console.log(`${logPrefix} 🔍 Message content is base64 string`);
-                imageUrl = message.content;
-                console.log(`${logPrefix} ✅ Extracted imageUrl from string content`);
-            } else {
-                console.warn(`${logPrefix} ⚠️ Message content type:`, typeof message.content);
+    const requestBody = {
+        model: imageModel,
+        messages: [
+            {
+                role: 'user',
+                content: messageContent
             }
+        ],
+        modalities: ['image', 'text']
+    };
 
-            if (!imageUrl) {
-                console.error(`${logPrefix} ❌ No image URL extracted from response`);
-                console.error(`${logPrefix} ❌ Full response for debugging:`, JSON.stringify(data, null, 2));
-                throw new Error('No image data found in API response. Check console for details.');
-            }
-            
-            console.log(`${logPrefix} 🖼️ Image URL extracted (length: ${imageUrl.length})`);
-            console.log(`${logPrefix} 🖼️ Image URL preview:`, imageUrl.substring(0, 100) + '...');
-            
-            // Display preview (only if element exists)
-            if (previewImg) {
-                console.log(`${logPrefix} 🔄 Setting preview image...`);
-                previewImg.src = imageUrl;
-                previewImg.style.display = 'block';
-                console.log(`${logPrefix} ✅ Preview image set`);
-            }
-            
-            statusDiv.textContent = 'Image generated! Adding to Photoshop...';
+    // Add image_config with aspect ratio if a ratio is selected; custom presets
+    // are sent as the nearest ratio the API supports
+    const selectedPreset = aspectRatioPresets.find(item => item.name === selectedRatioName);
+    const { apiRatio, warning } = selectedPreset ? resolveAspectPreset(selectedPreset) : { apiRatio: null, warning: null };
+    if (apiRatio) {
+        requestBody.image_config = {
+            aspect_ratio: apiRatio
+        };
+        console.log(`${logPrefix} 📐 Added aspect_ratio to request:`, apiRatio, `(preset ${selectedRatioName})`);
+    }
+    if (warning) {
+        console.warn(`${logPrefix} ⚠️ ${warning}`);
+    }
+
+    const params = readAdvancedParams();
+    const documentID = app.activeDocument?.id ?? null;
+    return {
+        apiKey,
+        prompt,
+        imageModel,
+        requestBody: applyAdvancedParams(requestBody, params),
+        variations: getVariationCount('variations-t2i'),
+        placement: { mode: 't2i', documentID, outputSize: readOutputSizeMode() },
+        warning,
+        historyRecord: {
+            prompt,
+            model: imageModel,
+            mode: 't2i',
+            selectionBounds: null,
+            aspectRatio: apiRatio,
+            documentName: app.activeDocument?.title,
+            params
+        }
+    };
+}
 
-            // Add to Photoshop
-            console.log(`${logPrefix} 🔄 Adding image to Photoshop...`);
-            await addImageToPhotoshop(imageUrl);
-            console.log(`${logPrefix} ✅ Image added to Photoshop successfully`);
+async function runT2iJob(snapshot, request, report) {
+    const logPrefix = "[runT2iJob]";
+    const { apiKey, imageModel, requestBody, variations, placement, historyRecord } = snapshot;
+    const previewImg = document.getElementById('generated-image');
 
-            statusDiv.textContent = '✅ Success! Image added to Photoshop as new layer';
-            console.log(`${logPrefix} ✅ Process completed successfully`);
+    const budget = assertWithinBudget(imageModel, variations);
+    request.budgetReservation = budget;
+    const { imageUrls, seeds, generations } = await runNetworkStep(request, (signal) => {
+        report(variations > 1 ? `Sending ${variations} requests to OpenRouter API...` : 'Sending request to OpenRouter API...');
+        console.log(`${logPrefix} 🌐 Sending ${variations} API request(s)...`);
+        return requestImageVariations(apiKey, requestBody, variations, logPrefix, signal, 't2i', budget);
+    });
 
-        } else {
-            console.error(`${logPrefix} ❌ Invalid response structure`);
-            console.error(`${logPrefix} ❌ Missing choices or message in response`);
-            console.error(`${logPrefix} ❌ Full response:`, JSON.stringify(data, null, 2));
-            throw new Error('Invalid API response format: missing choices or message');
-        }
+    // A job cancelled or timed out while waiting must never reach the document
+    throwIfCancelled(request);
+    const runRecord = { ...historyRecord, seeds, generations };
+    const results = imageUrls.map((_, index) => describeGenerationResult(runRecord, index));
+    const historyIds = await recordGenerationResults(imageUrls, runRecord);
+    // Saving to the history takes a while: don't place or offer the results if cancelled meanwhile
+    throwIfCancelled(request);
+
+    // Display preview (only if element exists)
+    if (previewImg) {
+        previewImg.src = imageUrls[0];
+        previewImg.style.display = 'block';
+    }
 
-    } catch (error) {
-        console.error(`${logPrefix} ❌ Error caught:`, error);
-        console.error(`${logPrefix} ❌ Error type:`, error.constructor.name);
-        console.error(`${logPrefix} ❌ Error message:`, error.message);
-        console.error(`${logPrefix} ❌ Error stack:`, error.stack);
-        
-        statusDiv.textContent = `❌ Error: ${error.message}`;
-        console.log(`${logPrefix} 📝 Status message set to:`, statusDiv.textContent);
-        
-        alert(`Error generating image:\n\n${error.message}`);
-    } finally {
-        console.log(`${logPrefix} 🔄 Restoring UI state...`);
-        generateBtn.disabled = false;
-        generateBtn.textContent = 'Generate & Add to Layer';
-        console.log(`${logPrefix} ✅ UI state restored`);
+    // Several candidates: let the user pick in the gallery instead of placing all of them
+    if (imageUrls.length > 1) {
+        const shown = showGallery(imageUrls, placement, historyIds, results);
+        report(shown
+            ? `✅ ${imageUrls.length} candidates ready. Pick one in the gallery.`
+            : `✅ ${imageUrls.length} candidates ready. They show in the gallery once the current candidates are placed or discarded.`);
+        return;
     }
-    
-    console.log(`${logPrefix} 🏁 Function complete`);
+
+    report('Image generated! Adding to Photoshop...');
+    await runDocumentStep(request, () => placeCandidate(imageUrls[0], placement, historyIds[0], results[0]));
+    console.log(`${logPrefix} ✅ Image added to Photoshop successfully`);
+    report('✅ Success! Image added to Photoshop as new layer');
 }
+
 function initializeEventListeners() {
     setTimeout(() => {
-        // Load settings from localStorage on initialization
-        loadSettings();
+        // Load settings from localStorage on initialization; the summaries built from them wait for it
+        loadSettings()
+            .catch(e => {
+                console.error('[loadSettings] ❌ Could not load saved settings:', e.message);
+                showSettingsStatus(`Error loading saved settings: ${e.message}. Defaults are in use.`, true);
+            })
+            .then(() => {
+                updateExactSizeInputs(true);
+                updateAspectPresetWarning();
+                renderSpendingSummary();
+            });
         
         // ... (Existing T2I, Img2Img, Add Selection element variables) ...
         const generateBtn = document.getElementById('generate-btn');
@@ -1623,27 +6479,32 @@ function initializeEventListeners() {
             console.log('✓ Selection scaler controls initialized for dynamic scaling.');
         }
 
-        // Populate Aspect Ratio Dropdown
-        if (selectElement) {
-            SUPPORTED_ASPECT_RATIOS.forEach((item, index) => {
-                const option = document.createElement('option');
-                option.value = index;
-                option.textContent = `${item.name} (${item.width}x${item.height} px)`;
-                selectElement.appendChild(option);
+        // Fill the selection, text-to-image and outpaint ratio dropdowns from the presets
+        populateAspectRatioSelects();
+        renderAspectPresetEditor();
+
+        if (imageSizeSelect) {
+            // Exact size follows the chosen ratio's listed pixel size
+            imageSizeSelect.addEventListener('change', () => {
+                updateExactSizeInputs(true);
+                updateAspectPresetWarning();
             });
-            selectElement.selectedIndex = 0;
         }
 
-        // Populate Image Size Dropdown for Text-to-Image
-        if (imageSizeSelect) {
-            SUPPORTED_ASPECT_RATIOS.forEach((item, index) => {
-                const option = document.createElement('option');
-                option.value = item.name; // Use the name (e.g., "1:1", "2:3") as the value
-                option.textContent = `${item.name} (${item.width}x${item.height} px)`;
-                imageSizeSelect.appendChild(option);
-            });
-            // Set default to first option (1:1)
-            imageSizeSelect.selectedIndex = 0;
+        const placementModeSelect = document.getElementById('t2i-placement-mode');
+        if (placementModeSelect) {
+            placementModeSelect.addEventListener('change', () => updateExactSizeInputs());
+        }
+
+        // Aspect ratio presets editor
+        const addAspectPresetBtn = document.getElementById('add-aspect-preset-btn');
+        if (addAspectPresetBtn) {
+            addAspectPresetBtn.addEventListener('click', addAspectPreset);
+        }
+
+        const resetAspectPresetsBtn = document.getElementById('reset-aspect-presets-btn');
+        if (resetAspectPresetsBtn) {
+            resetAspectPresetsBtn.addEventListener('click', resetAspectPresets);
         }
 
         // Add Selection Event Listener
@@ -1685,7 +6546,21 @@ function initializeEventListeners() {
             });
             console.log('Export settings event listener attached');
         }
+
+        const exportSettingsFileBtn = document.getElementById('export-settings-file-btn');
+        if (exportSettingsFileBtn) {
+            exportSettingsFileBtn.addEventListener('click', () => exportSettings(true));
+        }
         
+        // Including the API key in an export needs an explicit opt-in
+        const exportIncludeApiKeyCheckbox = document.getElementById('export-include-api-key');
+        if (exportIncludeApiKeyCheckbox) {
+            exportIncludeApiKeyCheckbox.addEventListener('change', () => {
+                const warningDiv = document.getElementById('export-api-key-warning');
+                if (warningDiv) warningDiv.style.display = exportIncludeApiKeyCheckbox.checked ? 'block' : 'none';
+            });
+        }
+
         // Import Settings Button
         const importSettingsBtn = document.getElementById('import-settings-btn');
         const importSettingsFileInput = document.getElementById('import-settings-file');
@@ -1698,6 +6573,24 @@ function initializeEventListeners() {
                 await importSettingsFromDataFolder();
             });
         }
+        const importSettingsFileBtn = document.getElementById('import-settings-file-btn');
+        if (importSettingsFileBtn) {
+            importSettingsFileBtn.addEventListener('click', importSettingsFromFile);
+        }
+
+        // Import preview: apply the ticked sections or discard the file
+        const settingsImportApplyBtn = document.getElementById('settings-import-apply-btn');
+        if (settingsImportApplyBtn) {
+            settingsImportApplyBtn.addEventListener('click', applySettingsImport);
+        }
+        const settingsImportCancelBtn = document.getElementById('settings-import-cancel-btn');
+        if (settingsImportCancelBtn) {
+            settingsImportCancelBtn.addEventListener('click', () => {
+                hideSettingsImportPreview();
+                showSettingsStatus('Import cancelled, nothing was changed.');
+            });
+        }
+
         // Keep file input listener for backward compatibility (but won't be used)
         if (importSettingsFileInput) {
             importSettingsFileInput.addEventListener('change', (event) => {
@@ -1760,23 +6653,180 @@ function initializeEventListeners() {
         const textModelInput = document.getElementById('setting-text-model');
         if (textModelInput) {
             textModelInput.addEventListener('change', saveSettings);
+            textModelInput.addEventListener('change', validateModelSettings);
         }
         
         const visionModelInput = document.getElementById('setting-vision-model');
         if (visionModelInput) {
             visionModelInput.addEventListener('change', saveSettings);
+            visionModelInput.addEventListener('change', validateModelSettings);
         }
         
         const imageModelInput = document.getElementById('setting-image-model');
         if (imageModelInput) {
             imageModelInput.addEventListener('change', saveSettings);
+            imageModelInput.addEventListener('change', validateModelSettings);
+            imageModelInput.addEventListener('change', loadAdvancedParamsForModel);
+        }
+
+        // Advanced parameters
+        const advancedToggleBtn = document.getElementById('advanced-toggle-btn');
+        if (advancedToggleBtn) {
+            advancedToggleBtn.addEventListener('click', () => {
+                const panel = document.getElementById('advanced-params');
+                if (!panel) return;
+                const show = panel.style.display === 'none';
+                panel.style.display = show ? 'block' : 'none';
+                advancedToggleBtn.textContent = show ? 'Hide' : 'Show';
+            });
         }
+
+        Object.values(ADVANCED_PARAM_INPUTS).forEach(id => {
+            const advancedInput = document.getElementById(id);
+            if (advancedInput) advancedInput.addEventListener('change', saveAdvancedParamsForModel);
+        });
         
         const optimizerPromptInput = document.getElementById('setting-optimizer-prompt');
         if (optimizerPromptInput) {
             optimizerPromptInput.addEventListener('change', saveSettings);
         }
-        
+
+        const inpaintMaskModeSelect = document.getElementById('setting-inpaint-mask-mode');
+        if (inpaintMaskModeSelect) {
+            inpaintMaskModeSelect.addEventListener('change', saveSettings);
+        }
+
+        const inpaintClipMaskCheckbox = document.getElementById('setting-inpaint-clip-mask');
+        if (inpaintClipMaskCheckbox) {
+            inpaintClipMaskCheckbox.addEventListener('change', saveSettings);
+        }
+
+        const inpaintFeatherInput = document.getElementById('setting-inpaint-feather');
+        if (inpaintFeatherInput) {
+            inpaintFeatherInput.addEventListener('change', saveSettings);
+        }
+
+        ['setting-inpaint-color-match', 'setting-inpaint-grain-match', 'setting-inpaint-hires', 'setting-inpaint-tile-size'].forEach(id => {
+            const inpaintSettingInput = document.getElementById(id);
+            if (inpaintSettingInput) inpaintSettingInput.addEventListener('change', saveSettings);
+        });
+
+        const inpaintContextMarginInput = document.getElementById('setting-inpaint-context-margin');
+        if (inpaintContextMarginInput) {
+            inpaintContextMarginInput.addEventListener('change', saveSettings);
+        }
+
+        const historyLimitInput = document.getElementById('setting-history-limit');
+        if (historyLimitInput) {
+            historyLimitInput.addEventListener('change', saveSettings);
+        }
+
+        const requestTimeoutInput = document.getElementById('setting-request-timeout');
+        if (requestTimeoutInput) {
+            requestTimeoutInput.addEventListener('change', saveSettings);
+        }
+
+        const layerNameTemplateInput = document.getElementById('setting-layer-name-template');
+        if (layerNameTemplateInput) {
+            layerNameTemplateInput.addEventListener('change', saveSettings);
+        }
+
+        const layerInfoBtn = document.getElementById('layer-info-btn');
+        if (layerInfoBtn) {
+            layerInfoBtn.addEventListener('click', showSelectedLayerInfo);
+        }
+
+        const regenerateLayerBtn = document.getElementById('regenerate-layer-btn');
+        if (regenerateLayerBtn) {
+            regenerateLayerBtn.addEventListener('click', regenerateSelectedLayer);
+        }
+
+        const cancelRegenerateBtn = document.getElementById('cancel-regenerate-btn');
+        if (cancelRegenerateBtn) {
+            cancelRegenerateBtn.addEventListener('click', () => cancelJobsOfKind('regenerate'));
+        }
+
+        // Job queue: more room to run can start waiting jobs straight away
+        const queueConcurrencyInput = document.getElementById('setting-queue-concurrency');
+        if (queueConcurrencyInput) {
+            queueConcurrencyInput.addEventListener('change', () => {
+                saveSettings();
+                processQueue();
+            });
+        }
+
+        // Input image: the quality slider shows its value as it moves
+        ['setting-input-max-dimension', 'setting-input-format'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', saveSettings);
+        });
+        const inputQualityInput = document.getElementById('setting-input-quality');
+        if (inputQualityInput) {
+            inputQualityInput.addEventListener('input', updateInputQualityLabel);
+            inputQualityInput.addEventListener('change', saveSettings);
+            updateInputQualityLabel();
+        }
+
+        const clearFinishedJobsBtn = document.getElementById('clear-finished-jobs-btn');
+        if (clearFinishedJobsBtn) {
+            clearFinishedJobsBtn.addEventListener('click', clearFinishedJobs);
+        }
+
+        // Model picker
+        document.querySelectorAll('.model-browse-btn').forEach(btn => {
+            btn.addEventListener('click', () => openModelPicker(btn.getAttribute('data-target')));
+        });
+
+        const modelPickerSearch = document.getElementById('model-picker-search');
+        if (modelPickerSearch) {
+            modelPickerSearch.addEventListener('input', renderModelPicker);
+        }
+
+        const modelPickerFilter = document.getElementById('model-picker-filter');
+        if (modelPickerFilter) {
+            modelPickerFilter.addEventListener('change', renderModelPicker);
+        }
+
+        const modelPickerRefreshBtn = document.getElementById('model-picker-refresh-btn');
+        if (modelPickerRefreshBtn) {
+            modelPickerRefreshBtn.addEventListener('click', refreshModelCatalogue);
+        }
+
+        const modelPickerCloseBtn = document.getElementById('model-picker-close-btn');
+        if (modelPickerCloseBtn) {
+            modelPickerCloseBtn.addEventListener('click', closeModelPicker);
+        }
+
+        // Spending
+        for (const budgetInputId of ['setting-budget-daily', 'setting-budget-monthly']) {
+            const budgetInput = document.getElementById(budgetInputId);
+            if (budgetInput) {
+                budgetInput.addEventListener('change', saveSettings);
+            }
+        }
+
+        for (const endpointInputId of ['setting-api-base-url', 'setting-auth-header-name', 'setting-auth-header-value']) {
+            const endpointInput = document.getElementById(endpointInputId);
+            if (endpointInput) {
+                endpointInput.addEventListener('change', saveSettings);
+            }
+        }
+
+        // Cancel buttons
+        const cancelT2iBtn = document.getElementById('cancel-t2i-btn');
+        if (cancelT2iBtn) {
+            cancelT2iBtn.addEventListener('click', () => cancelJobsOfKind('t2i'));
+        }
+
+        const cancelImg2ImgBtn = document.getElementById('cancel-img2img-btn');
+        if (cancelImg2ImgBtn) {
+            cancelImg2ImgBtn.addEventListener('click', () => cancelJobsOfKind('inpaint'));
+        }
+
+        const cancelOutpaintBtn = document.getElementById('cancel-outpaint-btn');
+        if (cancelOutpaintBtn) {
+            cancelOutpaintBtn.addEventListener('click', () => cancelJobsOfKind('outpaint'));
+        }
+
         // Add event listeners for prompt optimization
         const optimizePromptBtn = document.getElementById('optimize-prompt-btn');
         if (optimizePromptBtn) {
@@ -1787,6 +6837,37 @@ function initializeEventListeners() {
         if (optimizePromptImg2ImgBtn) {
             optimizePromptImg2ImgBtn.addEventListener('click', () => optimizePrompt('prompt-img2img', 'image-context-img2img-checkbox'));
         }
+
+        // Prompt library
+        const promptLibraryBtn = document.getElementById('prompt-library-btn');
+        if (promptLibraryBtn) {
+            promptLibraryBtn.addEventListener('click', () => togglePromptLibrary('t2i'));
+        }
+
+        const promptLibraryImg2ImgBtn = document.getElementById('prompt-library-img2img-btn');
+        if (promptLibraryImg2ImgBtn) {
+            promptLibraryImg2ImgBtn.addEventListener('click', () => togglePromptLibrary('inpaint'));
+        }
+
+        const promptLibraryActions = {
+            'prompt-library-close-btn': closePromptLibrary,
+            'prompt-library-insert-btn': confirmPromptInsert,
+            'prompt-library-variables-cancel-btn': cancelPromptInsert,
+            'prompt-library-save-btn': savePromptToLibrary,
+            'prompt-library-export-btn': exportPromptLibrary,
+            'prompt-library-import-btn': importPromptLibrary
+        };
+        for (const [buttonId, handler] of Object.entries(promptLibraryActions)) {
+            const button = document.getElementById(buttonId);
+            if (button) button.addEventListener('click', handler);
+        }
+
+        const promptLibrarySearch = document.getElementById('prompt-library-search');
+        if (promptLibrarySearch) {
+            promptLibrarySearch.addEventListener('input', renderPromptLibrary);
+        }
+
+        applyPromptDefaults();
         
 
 
@@ -1799,6 +6880,34 @@ function initializeEventListeners() {
             img2imgBtn.addEventListener('click', imageToImageGenerate); 
         }
 
+        // Outpainting: amount in pixels or a target aspect ratio
+        const outpaintBtn = document.getElementById('outpaint-btn');
+        if (outpaintBtn) {
+            outpaintBtn.addEventListener('click', outpaintGenerate);
+        }
+
+        const outpaintSizeMode = document.getElementById('outpaint-size-mode');
+        if (outpaintSizeMode) {
+            outpaintSizeMode.addEventListener('change', () => {
+                const usePixels = outpaintSizeMode.value === 'pixels';
+                const amountInput = document.getElementById('outpaint-amount');
+                const ratioSelect = document.getElementById('outpaint-ratio-select');
+                if (amountInput) amountInput.style.display = usePixels ? '' : 'none';
+                if (ratioSelect) ratioSelect.style.display = usePixels ? 'none' : '';
+            });
+        }
+
+        // Candidate gallery
+        const galleryPlaceBtn = document.getElementById('gallery-place-btn');
+        if (galleryPlaceBtn) {
+            galleryPlaceBtn.addEventListener('click', placeSelectedCandidates);
+        }
+
+        const galleryDiscardBtn = document.getElementById('gallery-discard-btn');
+        if (galleryDiscardBtn) {
+            galleryDiscardBtn.addEventListener('click', hideGallery);
+        }
+
         if (promptInput) {
             promptInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
@@ -1836,6 +6945,12 @@ function initializeEventListeners() {
                 // Show corresponding tab content
                 const tabId = btn.getAttribute('data-tab');
                 document.getElementById(tabId).style.display = 'block';
+
+                if (tabId === 'history-tab') {
+                    renderHistoryList();
+                } else if (tabId === 'queue-tab') {
+                    renderQueue();
+                }
             });
         });
 
@@ -1880,7 +6995,7 @@ async function checkOpenRouterStatus() {
     const apiKey = apiKeyInput.value?.trim();
     console.log('[checkOpenRouterStatus] API key present:', !!apiKey, 'length:', apiKey?.length || 0);
 
-    if (!apiKey) {
+    if (!apiKey && !isCustomEndpoint()) {
         console.log('[checkOpenRouterStatus] No API key provided, setting N/A');
         statusLabel.textContent = 'N/A';
         statusLimit.textContent = 'N/A';
@@ -1897,11 +7012,26 @@ async function checkOpenRouterStatus() {
         statusUsage.textContent = '...';
         statusRemaining.textContent = '...';
 
-        console.log('[checkOpenRouterStatus] Making API request...');
-        const response = await fetch('https://openrouter.ai/api/v1/key', {
-            headers: {
-                'Authorization': `Bearer ${apiKey}`
+        // Custom endpoints have no key/credit info: just confirm the server answers
+        if (isCustomEndpoint()) {
+            console.log('[checkOpenRouterStatus] Custom endpoint, checking /models...');
+            const modelsResponse = await fetch(`${getApiBaseUrl()}/models`, {
+                headers: buildApiHeaders(apiKey)
+            });
+            if (!modelsResponse.ok) {
+                throw new Error(`HTTP ${modelsResponse.status}: ${modelsResponse.statusText}`);
             }
+            const modelsData = await modelsResponse.json().catch(() => ({}));
+            statusLabel.textContent = `Connected (${modelsData.data?.length ?? 0} models)`;
+            statusLimit.textContent = 'N/A';
+            statusUsage.textContent = 'N/A';
+            statusRemaining.textContent = 'N/A';
+            return;
+        }
+
+        console.log('[checkOpenRouterStatus] Making API request...');
+        const response = await fetch(`${getApiBaseUrl()}/key`, {
+            headers: buildApiHeaders(apiKey)
         });
 
         console.log('[checkOpenRouterStatus] Response status:', response.status);
@@ -1943,46 +7073,206 @@ function formatBytes(bytes) {
     return '$' + parseFloat(bytes).toFixed(2);
 }
 
-// Export Settings Function
-async function exportSettings() {
+// --- Settings import/export ---
+
+const SETTINGS_EXPORT_FILE_NAME = 'settings.json';
+
+// Parsed file waiting for the user to pick sections in the import preview
+let pendingSettingsImport = null;
+
+function showSettingsStatus(message, isError = false) {
+    const statusDiv = document.getElementById('settings-status-message');
+    if (!statusDiv) return;
+    statusDiv.innerHTML = isError
+        ? `<div style="margin: 10px 0; padding: 8px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 4px; color: #721c24;">${message}</div>`
+        : `<div style="margin: 10px 0; padding: 8px; background-color: #d4edda; border: 1px solid #c3e6cb; border-radius: 4px; color: #155724;">${message}</div>`;
+}
+
+/**
+ * Builds the versioned export document from the current settings inputs.
+ */
+function buildSettingsExport(includeApiKey) {
+    const data = {
+        app: 'RouterShop',
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: readSettingsFromForm()
+    };
+    // The key is left out unless the user explicitly opted in for this export
+    if (includeApiKey) {
+        data.apiKey = document.getElementById('openrouter-api-key-input')?.value || '';
+    }
+    return data;
+}
+
+/**
+ * Exports settings to the plugin data folder, or to a file chosen in the save dialog.
+ * @param {boolean} useFilePicker
+ */
+async function exportSettings(useFilePicker = false) {
+    const includeApiKeyCheckbox = document.getElementById('export-include-api-key');
     try {
-        const settings = {
-            apiKey: document.getElementById('openrouter-api-key-input')?.value || '',
-            textModel: document.getElementById('setting-text-model')?.value || 'google/gemini-2.0-flash-001',
-            visionModel: document.getElementById('setting-vision-model')?.value || 'google/gemini-2.0-flash-001',
-            imageModel: document.getElementById('setting-image-model')?.value || 'google/gemini-2.5-flash-image',
-            optimizerPrompt: document.getElementById('setting-optimizer-prompt')?.value || 'act as image generation prompt engineer and optimize user prompt'
-        };
-        
-        const dataStr = JSON.stringify(settings, null, 2);
-        const exportFileDefaultName = 'settings.json';
-        
-        // Use the data folder which doesn't require special permissions
-        const fs = require('uxp').storage.localFileSystem;
-        const dataFolder = await fs.getDataFolder();
-        const file = await dataFolder.createFile(exportFileDefaultName, { overwrite: true });
-        
-        // Write the settings to the file
-        await file.write(dataStr, { 
-            format: require('uxp').storage.formats.utf8
-        });
-        
-        console.log('Settings exported successfully to data folder');
-        console.log('File saved at:', file.nativePath);
-        
-        // Show success message in UI below Settings Data section
-        const statusDiv = document.getElementById('settings-status-message');
-        if (statusDiv) {
-            statusDiv.innerHTML = `<div style="margin: 10px 0; padding: 8px; background-color: #d4edda; border: 1px solid #c3e6cb; border-radius: 4px; color: #155724;">Settings exported successfully! File saved at: ${file.nativePath}</div>`;
+        const data = buildSettingsExport(includeApiKeyCheckbox?.checked);
+        const dataStr = JSON.stringify(data, null, 2);
+
+        let file;
+        if (useFilePicker) {
+            file = await localFileSystem.getFileForSaving(SETTINGS_EXPORT_FILE_NAME, { types: ['json'] });
+            if (!file) return; // Dialog cancelled
+        } else {
+            // Use the data folder which doesn't require special permissions
+            const dataFolder = await localFileSystem.getDataFolder();
+            file = await dataFolder.createFile(SETTINGS_EXPORT_FILE_NAME, { overwrite: true });
         }
+
+        await file.write(dataStr, { format: uxp.storage.formats.utf8 });
+        console.log('[exportSettings] ✅ Settings exported to', file.nativePath);
+
+        const keyNote = data.apiKey ? ' ⚠️ The file contains your API key in plain text.' : '';
+        showSettingsStatus(`Settings exported successfully! File saved at: ${file.nativePath}${keyNote}`);
     } catch (error) {
         console.error('Export Settings Error:', error);
-        // Show error message in UI below Settings Data section
-        const statusDiv = document.getElementById('settings-status-message');
-        if (statusDiv) {
-            statusDiv.innerHTML = `<div style="margin: 10px 0; padding: 8px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 4px; color: #721c24;">Error exporting settings: ${error.message}</div>`;
+        showSettingsStatus(`Error exporting settings: ${error.message}`, true);
+    } finally {
+        // Opt-in applies to a single export only
+        if (includeApiKeyCheckbox) includeApiKeyCheckbox.checked = false;
+        const warningDiv = document.getElementById('export-api-key-warning');
+        if (warningDiv) warningDiv.style.display = 'none';
+    }
+}
+
+/**
+ * Parses, migrates and validates a settings file, then shows the import preview.
+ * Nothing is applied until the user confirms in the preview.
+ */
+function previewSettingsImport(fileContent, sourceName) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fileContent);
+    } catch (e) {
+        throw new Error(`${sourceName} is not valid JSON (${e.message})`);
+    }
+
+    const migrated = migrateSettingsFile(parsed);
+    const { values, errors, warnings } = validateSettings(migrated.settings);
+    const apiKey = typeof migrated.apiKey === 'string' && migrated.apiKey.trim() ? migrated.apiKey.trim() : null;
+
+    if (Object.keys(values).length === 0 && !apiKey) {
+        throw new Error(`${sourceName} contains no usable settings${errors.length ? ': ' + errors.join('; ') : ''}`);
+    }
+
+    pendingSettingsImport = { values, apiKey, errors, warnings, sourceName, sourceVersion: migrated.sourceVersion };
+    renderSettingsImportPreview();
+}
+
+function formatSettingForPreview(field, value) {
+    if (field.type === 'boolean') return value ? 'On' : 'Off';
+    if (field.type === 'presets') return `${value.length} presets (${value.map(preset => preset.name).join(', ')})`.slice(0, 60);
+    const text = String(value);
+    return text.length > 40 ? text.slice(0, 37) + '...' : text;
+}
+
+function renderSettingsImportPreview() {
+    const preview = document.getElementById('settings-import-preview');
+    const title = document.getElementById('settings-import-title');
+    const messages = document.getElementById('settings-import-messages');
+    const sectionsDiv = document.getElementById('settings-import-sections');
+    if (!preview || !sectionsDiv || !pendingSettingsImport) return;
+
+    const { values, apiKey, errors, warnings, sourceName, sourceVersion } = pendingSettingsImport;
+    const current = readSettingsFromForm();
+
+    if (title) title.textContent = `Import from ${sourceName} (schema v${sourceVersion})`;
+    if (messages) {
+        messages.textContent = [...errors.map(e => `❌ ${e}`), ...warnings.map(w => `⚠️ ${w}`)].join('\n');
+    }
+
+    sectionsDiv.innerHTML = '';
+    for (const [sectionId, sectionLabel] of Object.entries(SETTINGS_SECTIONS)) {
+        const fields = SETTINGS_SCHEMA.filter(field => field.section === sectionId && values[field.key] !== undefined);
+        const includesApiKey = sectionId === 'api' && apiKey;
+        if (fields.length === 0 && !includesApiKey) continue;
+
+        const changes = fields
+            .filter(field => JSON.stringify(values[field.key]) !== JSON.stringify(current[field.key]))
+            .map(field => `${field.label}: ${formatSettingForPreview(field, current[field.key])} → ${formatSettingForPreview(field, values[field.key])}`);
+        if (includesApiKey) changes.push('API key: replaced with the key from the file');
+
+        const sectionDiv = document.createElement('div');
+        sectionDiv.className = 'settings-import-section';
+
+        const label = document.createElement('label');
+        label.className = 'toggle-switch';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.section = sectionId;
+        // Pre-select sections that would actually change something
+        checkbox.checked = changes.length > 0;
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+        const text = document.createElement('span');
+        text.className = 'toggle-label';
+        text.textContent = sectionLabel;
+        label.appendChild(checkbox);
+        label.appendChild(slider);
+        label.appendChild(text);
+        sectionDiv.appendChild(label);
+
+        const details = document.createElement('div');
+        details.className = 'settings-import-changes';
+        details.textContent = changes.length > 0 ? changes.join('\n') : 'No changes';
+        sectionDiv.appendChild(details);
+
+        sectionsDiv.appendChild(sectionDiv);
+    }
+
+    preview.style.display = 'block';
+}
+
+function hideSettingsImportPreview() {
+    pendingSettingsImport = null;
+    const preview = document.getElementById('settings-import-preview');
+    if (preview) preview.style.display = 'none';
+}
+
+/**
+ * Merges the sections ticked in the import preview into the current settings and saves them.
+ */
+async function applySettingsImport() {
+    if (!pendingSettingsImport) return;
+    const { values, apiKey, sourceName } = pendingSettingsImport;
+
+    const selectedSections = Array.from(document.querySelectorAll('#settings-import-sections input[type="checkbox"]'))
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.dataset.section);
+
+    if (selectedSections.length === 0) {
+        showSettingsStatus('No sections selected, nothing was imported.', true);
+        return;
+    }
+
+    const merged = {};
+    for (const field of SETTINGS_SCHEMA) {
+        if (selectedSections.includes(field.section) && values[field.key] !== undefined) {
+            merged[field.key] = values[field.key];
         }
     }
+    applySettingsToForm(merged);
+
+    // Exports leave the key out by default: keep the current key in that case
+    if (apiKey && selectedSections.includes('api')) {
+        setApiKeyInputs(apiKey);
+    }
+
+    await saveSettings();
+    validateModelSettings();
+    loadAdvancedParamsForModel();
+    renderSpendingSummary();
+    hideSettingsImportPreview();
+
+    const sectionNames = selectedSections.map(sectionId => SETTINGS_SECTIONS[sectionId]).join(', ');
+    console.log(`[applySettingsImport] ✅ Imported ${sectionNames} from ${sourceName}`);
+    showSettingsStatus(`Settings imported successfully! Updated: ${sectionNames}`);
 }
 
 // Import Settings Function (from file input - for backward compatibility)
@@ -1991,109 +7281,56 @@ async function importSettings(event) {
         // For the file input approach (when called from file input change event)
         if (event && event.target && event.target.files && event.target.files[0]) {
             const file = event.target.files[0];
-            const fileContent = await file.read({format: require('uxp').storage.formats.utf8});
-            const settings = JSON.parse(fileContent);
-            
-            // Update the input fields with imported settings
-            const apiKeyInput = document.getElementById('openrouter-api-key-input');
-            if (apiKeyInput) apiKeyInput.value = settings.apiKey || '';
-            
-            const textModelInput = document.getElementById('setting-text-model');
-            if (textModelInput) textModelInput.value = settings.textModel || 'google/gemini-2.0-flash-001';
-            
-            const visionModelInput = document.getElementById('setting-vision-model');
-            if (visionModelInput) visionModelInput.value = settings.visionModel || 'google/gemini-2.0-flash-001';
-            
-            const imageModelInput = document.getElementById('setting-image-model');
-            if (imageModelInput) imageModelInput.value = settings.imageModel || 'google/gemini-2.5-flash-image';
-            
-            const optimizerPromptInput = document.getElementById('setting-optimizer-prompt');
-            if (optimizerPromptInput) optimizerPromptInput.value = settings.optimizerPrompt || 'act as image generation prompt engineer and optimize user prompt';
-            
-            // Save the imported settings to localStorage
-            saveSettings();
-            
+            const fileContent = await file.read({ format: uxp.storage.formats.utf8 });
+            previewSettingsImport(fileContent, file.name);
+
             // Reset the file input
             if (event.target) event.target.value = '';
-            
-            console.log('Settings imported successfully');
-            
-            // Show success message in UI below Settings Data section
-            const statusDiv = document.getElementById('settings-status-message');
-            if (statusDiv) {
-                statusDiv.innerHTML = `<div style="margin: 10px 0; padding: 8px; background-color: #d4edda; border: 1px solid #c3e6cb; border-radius: 4px; color: #155724;">Settings imported successfully!</div>`;
-            }
         }
     } catch (error) {
         console.error('Import Settings Error:', error);
-        // Show error message in UI below Settings Data section
-        const statusDiv = document.querySelector('.section-divider:last-child .setting-row') || document.getElementById('status');
-        if (statusDiv) {
-            statusDiv.innerHTML = `<div style="margin-top: 10px; padding: 8px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 4px; color: #721c24;">Error importing settings: ${error.message}</div>`;
-        }
+        showSettingsStatus(`Error importing settings: ${error.message}`, true);
+    }
+}
+
+// Import settings from a file chosen in the open dialog
+async function importSettingsFromFile() {
+    try {
+        const file = await localFileSystem.getFileForOpening({ types: ['json'] });
+        if (!file) return; // Dialog cancelled
+
+        const fileContent = await file.read({ format: uxp.storage.formats.utf8 });
+        previewSettingsImport(fileContent, file.name);
+    } catch (error) {
+        console.error('Import Settings Error:', error);
+        showSettingsStatus(`Error importing settings: ${error.message}`, true);
     }
 }
 
-// New function to import settings directly from plugin data folder
+// Import settings directly from plugin data folder
 async function importSettingsFromDataFolder() {
     try {
-        // Use the data folder to read the settings file directly
-        const fs = require('uxp').storage.localFileSystem;
-        const dataFolder = await fs.getDataFolder();
-        
+        const dataFolder = await localFileSystem.getDataFolder();
+
         // Try to get the settings file
         let file;
         try {
-            file = await dataFolder.getEntry('settings.json');
+            file = await dataFolder.getEntry(SETTINGS_EXPORT_FILE_NAME);
         } catch (e) {
             // File doesn't exist
             file = null;
         }
-        
-        if (file) {
-            const fileContent = await file.read({format: require('uxp').storage.formats.utf8});
-            const settings = JSON.parse(fileContent);
-            
-            // Update the input fields with imported settings
-            const apiKeyInput = document.getElementById('openrouter-api-key-input');
-            if (apiKeyInput) apiKeyInput.value = settings.apiKey || '';
-            
-            const textModelInput = document.getElementById('setting-text-model');
-            if (textModelInput) textModelInput.value = settings.textModel || 'google/gemini-2.0-flash-001';
-            
-            const visionModelInput = document.getElementById('setting-vision-model');
-            if (visionModelInput) visionModelInput.value = settings.visionModel || 'google/gemini-2.0-flash-001';
-            
-            const imageModelInput = document.getElementById('setting-image-model');
-            if (imageModelInput) imageModelInput.value = settings.imageModel || 'google/gemini-2.5-flash-image';
-            
-            const optimizerPromptInput = document.getElementById('setting-optimizer-prompt');
-            if (optimizerPromptInput) optimizerPromptInput.value = settings.optimizerPrompt || 'act as image generation prompt engineer and optimize user prompt';
-            
-            // Save the imported settings to localStorage
-            saveSettings();
-            
-            console.log('Settings imported successfully from data folder');
-            
-            // Show success message in UI below Settings Data section
-            const statusDiv = document.getElementById('settings-status-message');
-            if (statusDiv) {
-                statusDiv.innerHTML = `<div style="margin: 10px 0; padding: 8px; background-color: #d4edda; border: 1px solid #c3e6cb; border-radius: 4px; color: #155724;">Settings imported successfully from data folder!</div>`;
-            }
-        } else {
-            // Show error message in UI below Settings Data section
-            const statusDiv = document.getElementById('settings-status-message');
-            if (statusDiv) {
-                statusDiv.innerHTML = `<div style="margin: 10px 0; padding: 8px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 4px; color: #721c24;">No settings file found in data folder. Please export settings first.</div>`;
-            }
+
+        if (!file) {
+            showSettingsStatus('No settings file found in data folder. Please export settings first.', true);
+            return;
         }
+
+        const fileContent = await file.read({ format: uxp.storage.formats.utf8 });
+        previewSettingsImport(fileContent, `data folder ${SETTINGS_EXPORT_FILE_NAME}`);
     } catch (error) {
         console.error('Import Settings Error:', error);
-        // Show error message in UI below Settings Data section
-        const statusDiv = document.querySelector('.section-divider:last-child .setting-row') || document.getElementById('status');
-        if (statusDiv) {
-            statusDiv.innerHTML = `<div style="margin-top: 10px; padding: 8px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 4px; color: #721c24;">Error importing settings: ${error.message}</div>`;
-        }
+        showSettingsStatus(`Error importing settings: ${error.message}`, true);
     }
 }
 
@@ -2101,103 +7338,120 @@ async function importSettingsFromDataFolder() {
 async function optimizePrompt(promptInputId, imageCheckboxId) {
     const promptInput = document.getElementById(promptInputId);
     const imageCheckbox = document.getElementById(imageCheckboxId);
+
+    // While an optimization is queued or running, the ✨ button cancels it
+    const activeJob = jobQueue.find(job => job.kind === 'optimize' && job.target === promptInputId && isJobActive(job));
+    if (activeJob) {
+        cancelJob(activeJob.id);
+        return;
+    }
+
     const currentPrompt = promptInput.value;
     
     if (!currentPrompt.trim()) {
         alert('Please enter a prompt to optimize.');
         return;
     }
-    
+
+    // Determine which model and system prompt to use based on the checkbox,
+    // and capture the selection now so the job doesn't depend on later edits
+    const snapshot = {
+        promptInputId,
+        prompt: currentPrompt,
+        systemPrompt: document.getElementById('setting-optimizer-prompt').value,
+        model: null,
+        base64Image: null,
+        payloadSummary: null
+    };
+    try {
+        if (imageCheckbox && imageCheckbox.checked) {
+            snapshot.model = document.getElementById('setting-vision-model').value;
+            const imageResult = await extractSelectionImage();
+            snapshot.base64Image = `data:${imageResult.inputMimeType};base64,${imageResult.base64Image}`;
+            const { width, height } = imageResult.inputSize;
+            snapshot.payloadSummary = `${width}×${height} ${imageResult.inputMimeType.split('/')[1].toUpperCase()}, ${formatPayloadSize(snapshot.base64Image.length)}`;
+        } else {
+            snapshot.model = document.getElementById('setting-text-model').value;
+        }
+    } catch (error) {
+        console.error('Prompt Optimization Error:', error);
+        alert(`Error optimizing prompt: ${error.message}`);
+        return;
+    }
+
+    enqueueJob({
+        kind: 'optimize',
+        target: promptInputId,
+        label: `Optimize: ${currentPrompt}`,
+        statusId: promptInputId === 'prompt' ? 'status' : 'status-img2img',
+        run: (request, report) => runOptimizeJob(snapshot, request, report)
+    });
+}
+
+async function runOptimizeJob(snapshot, request, report) {
+    const promptInput = document.getElementById(snapshot.promptInputId);
+    const budget = assertWithinBudget(snapshot.model);
+    request.budgetReservation = budget;
+
     // Show a temporary message while optimizing
     const originalValue = promptInput.value;
     promptInput.value = 'Optimizing prompt...';
     promptInput.disabled = true;
-    
+    report(snapshot.payloadSummary ? `Optimizing prompt (upload ${snapshot.payloadSummary})...` : 'Optimizing prompt...');
+
+    // Sent, but its cost not handed to recordUsageCost() yet
+    let costPending = false;
     try {
-        // Determine which model and system prompt to use based on the checkbox
-        let model, systemPrompt;
-        if (imageCheckbox && imageCheckbox.checked) {
-            // Use Vision Model with image context
-            model = document.getElementById('setting-vision-model').value;
-            systemPrompt = document.getElementById('setting-optimizer-prompt').value;
-            
-            // Extract the current selection image
-            const imageResult = await extractSelectionImage();
-            const base64Image = `data:image/png;base64,${imageResult.base64Image}`;
-            
-            // Call the OpenRouter API with image context
-            const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${API_KEY_REF}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [
-                        { role: 'system', content: systemPrompt },
-                        {
-                            role: 'user',
-                            content: [
-                                { type: 'text', text: currentPrompt },
-                                { type: 'image_url', image_url: { url: base64Image } }
-                            ],
-                        },
-                    ],
-                }),
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-                const optimizedPrompt = data.choices[0].message.content;
-                promptInput.value = optimizedPrompt;
-            } else {
-                throw new Error('Invalid response format from API');
+        // Vision model gets the selection as context, the text model only the prompt
+        const userMessage = snapshot.base64Image
+            ? {
+                role: 'user',
+                content: [
+                    { type: 'text', text: snapshot.prompt },
+                    { type: 'image_url', image_url: { url: snapshot.base64Image } }
+                ],
             }
-        } else {
-            // Use Text Model without image context
-            model = document.getElementById('setting-text-model').value;
-            systemPrompt = document.getElementById('setting-optimizer-prompt').value;
-            
-            // Call the OpenRouter API with text-only
-            const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+            : { role: 'user', content: snapshot.prompt };
+
+        // Call the OpenRouter API
+        const response = await runNetworkStep(request, (signal) => {
+            markBudgetRequestSent(budget);
+            costPending = true;
+            return fetch(`${getApiBaseUrl()}/chat/completions`, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${API_KEY_REF}`,
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: model,
+                headers: buildApiHeaders(API_KEY_REF, { 'Content-Type': 'application/json' }),
+                body: JSON.stringify(withUsageAccounting({
+                    model: snapshot.model,
                     messages: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: currentPrompt }
+                        { role: 'system', content: snapshot.systemPrompt },
+                        userMessage
                     ],
-                }),
+                })),
+                signal
             });
-            
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            if (data.choices && data.choices[0] && data.choices[0].message) {
-                const optimizedPrompt = data.choices[0].message.content;
-                promptInput.value = optimizedPrompt;
-            } else {
-                throw new Error('Invalid response format from API');
-            }
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        recordUsageCost(data, 'optimize', snapshot.model, API_KEY_REF, budget);
+        costPending = false;
+        throwIfCancelled(request);
+        if (data.choices && data.choices[0] && data.choices[0].message) {
+            promptInput.value = data.choices[0].message.content;
+        } else {
+            throw new Error('Invalid response format from API');
         }
+        report('✅ Prompt optimized');
     } catch (error) {
-        console.error('Prompt Optimization Error:', error);
         promptInput.value = originalValue; // Restore original value if error occurs
-        alert(`Error optimizing prompt: ${error.message}`);
+        // A request that failed before its cost could be recorded releases its estimate
+        if (costPending) settleBudgetRequest(budget);
+        throw error;
     } finally {
         promptInput.disabled = false; // Re-enable the input field
     }
-}
\ No newline at end of file
+}